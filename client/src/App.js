@@ -15,8 +15,12 @@ import BlockDetailsPage from "./pages/BlockDetailsPage"
 import CreateBlock from "./pages/PendingBlockPage"
 import DashboardPage from "./pages/DashboardPage"
 import PendingRecordPage from "./pages/PendingRecordPage"
+import MempoolPage from "./pages/MempoolPage"
+import ExplorerPage from "./pages/ExplorerPage"
 import UserListPage from "./pages/UserListPage"
 import ProfilePage from "./pages/ProfilePage"
+import CataloguePage from "./pages/CataloguePage"
+import PendingAcknowledgementPage from "./pages/PendingAcknowledgementPage"
 import ErrorPage from "./pages/ErrorPage"
 import { UserProvider } from "./utils/UserContext"
 
@@ -116,7 +120,15 @@ const App = () => {
               path="/pendingRecords"
               component={PendingRecordPage}
             />
+            <ProtectedRoute
+              exact
+              path="/acknowledgements"
+              component={PendingAcknowledgementPage}
+            />
+            <ProtectedRoute exact path="/mempool" component={MempoolPage} />
+            <ProtectedRoute exact path="/explorer" component={ExplorerPage} />
             <ProtectedRoute exact path="/users" component={UserListPage} />
+            <ProtectedRoute exact path="/catalogue" component={CataloguePage} />
             <ProtectedRoute
               exact
               path="/page/profile"
@@ -0,0 +1,131 @@
+import React, { useState } from "react"
+import {
+  makeStyles,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  TablePagination,
+  Typography,
+} from "@material-ui/core"
+import { useFetch } from "../utils/useFetch"
+import { formatTimestamp } from "../utils/formatDate"
+import Loading from "./Loading"
+
+const useRowStyles = makeStyles({
+  tableContainer: {
+    width: "60vw",
+    marginTop: "1rem",
+    marginLeft: "auto",
+    marginRight: "auto",
+  },
+  tableHead: {
+    backgroundColor: "#4A78D0",
+  },
+  headCell: {
+    fontSize: "15px",
+    color: "white",
+    fontWeight: "bold",
+  },
+})
+
+// Balance of the account and its statement, newest transaction first
+const AccountStatement = ({ publicKey }) => {
+  const classes = useRowStyles()
+  const [rowsPerPage, setRowsPerPage] = useState(5)
+  const [page, setPage] = useState(0)
+  const { data: balance } = useFetch(`/api/users/${publicKey}/balance`)
+  const { data: statement, isLoading } = useFetch(
+    `/api/users/${publicKey}/statement`
+  )
+
+  if (isLoading) {
+    return <Loading />
+  }
+
+  const entries = [...(statement?.entries || [])].reverse()
+
+  return (
+    <TableContainer component={Paper} className={classes.tableContainer}>
+      <Typography
+        style={{
+          textAlign: "center",
+          marginTop: "20px",
+          marginBottom: "15px",
+          fontSize: "20px",
+          fontWeight: "bolder",
+          color: "#000",
+        }}
+      >
+        ACCOUNT STATEMENT
+      </Typography>
+      {balance && (
+        <Typography align="center" style={{ marginBottom: "15px" }}>
+          Balance: {balance.balance}, available: {balance.available}
+          {balance.pendingIncoming > 0 &&
+            `, incoming not in the chain yet: ${balance.pendingIncoming}`}
+        </Typography>
+      )}
+      <Table>
+        <TableHead className={classes.tableHead}>
+          <TableRow>
+            <TableCell align="center" width="10%">
+              <Typography className={classes.headCell}>Block</Typography>
+            </TableCell>
+            <TableCell align="center" width="20%">
+              <Typography className={classes.headCell}>Timestamp</Typography>
+            </TableCell>
+            <TableCell align="center" width="40%">
+              <Typography className={classes.headCell}>Counterparty</Typography>
+            </TableCell>
+            <TableCell align="center" width="15%">
+              <Typography className={classes.headCell}>Amount</Typography>
+            </TableCell>
+            <TableCell align="center" width="15%">
+              <Typography className={classes.headCell}>Balance</Typography>
+            </TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {entries
+            .slice(page * rowsPerPage, page * rowsPerPage + rowsPerPage)
+            .map((entry) => (
+              <TableRow key={entry._id}>
+                <TableCell align="center">{entry.blockId}</TableCell>
+                <TableCell align="center">
+                  {formatTimestamp(entry.timestamp)}
+                </TableCell>
+                <TableCell align="center" style={{ wordBreak: "break-all" }}>
+                  {entry.counterparty}
+                </TableCell>
+                <TableCell
+                  align="center"
+                  style={{ color: entry.change < 0 ? "red" : "green" }}
+                >
+                  {entry.change}
+                </TableCell>
+                <TableCell align="center">{entry.balance}</TableCell>
+              </TableRow>
+            ))}
+        </TableBody>
+      </Table>
+      <TablePagination
+        rowsPerPageOptions={[5, 10, 15]}
+        component="div"
+        count={entries.length}
+        rowsPerPage={rowsPerPage}
+        page={page}
+        onPageChange={(event, newPage) => setPage(newPage)}
+        onRowsPerPageChange={(event) => {
+          setRowsPerPage(parseInt(event.target.value, 10))
+          setPage(0)
+        }}
+      />
+    </TableContainer>
+  )
+}
+
+export default AccountStatement
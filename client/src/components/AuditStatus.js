@@ -0,0 +1,104 @@
+import React from "react"
+import {
+  withStyles,
+  Card,
+  CardHeader,
+  CardContent,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from "@material-ui/core"
+import { useFetch } from "../utils/useFetch"
+import { formatTimestamp } from "../utils/formatDate"
+
+const StyledTableRow = withStyles((theme) => ({
+  root: {
+    "&:nth-of-type(odd)": {
+      backgroundColor: theme.palette.primary.light,
+    },
+  },
+}))(TableRow)
+
+// Result of the last run of the background integrity auditor and the alerts
+// it has raised which are still open
+const AuditStatus = () => {
+  const { data } = useFetch("/api/audits")
+  const lastAudit = data?.lastAudit
+  const alerts = data?.alerts || []
+
+  const getResult = () => {
+    if (!lastAudit) {
+      return "No audit has run yet"
+    }
+    if (lastAudit.error) {
+      return `Last audit on ${formatTimestamp(lastAudit.startedAt)} failed: ${
+        lastAudit.error
+      }`
+    }
+    return `Last audit on ${formatTimestamp(lastAudit.startedAt)}, ${
+      lastAudit.checkedBlocks
+    } blocks and ${lastAudit.checkedRecords} records checked, ${
+      lastAudit.isValid
+        ? "no problems found"
+        : `${lastAudit.findings.length} problems found`
+    }`
+  }
+
+  return (
+    <Card elevation={3}>
+      <CardHeader
+        title={
+          <Typography variant="h5" component="h1" align="center">
+            Integrity Audit
+          </Typography>
+        }
+        subheader={
+          <Typography align="center" color="textSecondary">
+            {getResult()}
+          </Typography>
+        }
+      />
+      {alerts.length > 0 && (
+        <CardContent>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell width="20%">Raised</TableCell>
+                <TableCell width="10%">Block</TableCell>
+                <TableCell>Alert</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {alerts.map((alert) => (
+                <StyledTableRow key={alert._id}>
+                  <TableCell>{formatTimestamp(alert.raisedAt)}</TableCell>
+                  <TableCell>
+                    {alert.blockId === null ? "-" : `BLOCK ${alert.blockId}`}
+                  </TableCell>
+                  <TableCell style={{ color: "red" }}>
+                    {alert.message}
+                    {alert.recordId && (
+                      <Typography
+                        component="div"
+                        variant="body2"
+                        color="textSecondary"
+                        style={{ wordBreak: "break-all" }}
+                      >
+                        {alert.recordId}
+                      </Typography>
+                    )}
+                  </TableCell>
+                </StyledTableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </CardContent>
+      )}
+    </Card>
+  )
+}
+
+export default AuditStatus
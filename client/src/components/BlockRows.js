@@ -4,6 +4,7 @@ import { withStyles } from "@material-ui/core/styles"
 import TableCell from "@material-ui/core/TableCell"
 import TableRow from "@material-ui/core/TableRow"
 import { Typography } from "@material-ui/core"
+import { formatTimestamp } from "../utils/formatDate"
 
 const StyledTableCell = withStyles((theme) => ({
   head: {
@@ -41,7 +42,9 @@ const BlockRows = ({ block }) => {
             to={`/block/${block.blockId}`}
             style={{ textDecoration: "none", color: "black" }}
           >
-            <Typography component="div">{block.timestamp}</Typography>
+            <Typography component="div">
+              {formatTimestamp(block.timestamp)}
+            </Typography>
           </Link>
         </StyledTableCell>
         <StyledTableCell component="th" scope="row" align="center" width="20%">
@@ -0,0 +1,93 @@
+import React from "react"
+import {
+  withStyles,
+  Card,
+  CardHeader,
+  CardContent,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from "@material-ui/core"
+
+const StyledTableRow = withStyles((theme) => ({
+  root: {
+    "&:nth-of-type(odd)": {
+      backgroundColor: theme.palette.primary.light,
+    },
+  },
+}))(TableRow)
+
+const ChainReport = ({ report }) => {
+  const failedBlocks = report.blocks.filter((block) => !block.isValid)
+
+  return (
+    <Card elevation={3}>
+      <CardHeader
+        title={
+          <Typography variant="h5" component="h1" align="center">
+            Blockchain Integrity Report
+          </Typography>
+        }
+        subheader={
+          <Typography align="center" color="textSecondary">
+            {report.checkedBlocks} blocks checked,{" "}
+            {failedBlocks.length === 0
+              ? "no problems found"
+              : `${failedBlocks.length} failed`}
+            {report.checkpoint
+              ? `, from the checkpoint at block ${report.checkpoint.blockId}`
+              : ", full revalidation"}
+          </Typography>
+        }
+      />
+      <CardContent>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell width="10%">Block</TableCell>
+              <TableCell width="15%">Result</TableCell>
+              <TableCell>Failed checks</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {report.blocks.map((block) => (
+              <StyledTableRow key={block.blockId}>
+                <TableCell>BLOCK {block.blockId}</TableCell>
+                <TableCell
+                  style={{
+                    color: block.isValid ? "green" : "red",
+                    fontWeight: "bold",
+                  }}
+                >
+                  {block.isValid ? "Valid" : "Invalid"}
+                </TableCell>
+                <TableCell>
+                  {block.errors.map((error) => (
+                    <Typography component="div" key={error.check}>
+                      {error.message}
+                      {error.recordIds && (
+                        <Typography
+                          component="div"
+                          variant="body2"
+                          color="textSecondary"
+                          style={{ wordBreak: "break-all" }}
+                        >
+                          {error.recordIds.join(", ")}
+                        </Typography>
+                      )}
+                    </Typography>
+                  ))}
+                </TableCell>
+              </StyledTableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default ChainReport
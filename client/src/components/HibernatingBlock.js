@@ -8,6 +8,7 @@ import {
   TableRow,
 } from "@material-ui/core"
 import RecordsRow from "./RecordsRow"
+import { formatTimestamp } from "../utils/formatDate"
 
 const useStyles = makeStyles({
   root: {
@@ -84,7 +85,7 @@ const HibernatingBlock = ({ block }) => {
           gutterBottom
           style={{ paddingBottom: "15px" }}
         >
-          {block.timestamp}
+          {formatTimestamp(block.timestamp)}
         </Typography>
 
         <Typography className={classes.pos} color="textSecondary">
@@ -0,0 +1,68 @@
+import React, { useRef } from "react"
+import { Box, Button, Typography } from "@material-ui/core"
+import { MdPrint } from "react-icons/md"
+import { encodeCode39 } from "../utils/barcode"
+
+// Barcode of a batch or product identifier with the identifier written below,
+// printed on its own so it can be stuck on the bag, drum or tank
+const IdentifierLabel = ({ id, height = 60 }) => {
+  const labelRef = useRef(null)
+  const { bars, width } = encodeCode39(id)
+
+  const handlePrint = () => {
+    const printWindow = window.open("", "_blank", "width=600,height=400")
+    printWindow.document.write(
+      `<html><head><title>${id}</title></head>` +
+        `<body style="text-align:center">${labelRef.current.innerHTML}</body></html>`
+    )
+    printWindow.document.close()
+    printWindow.focus()
+    printWindow.print()
+    printWindow.close()
+  }
+
+  return (
+    <Box display="flex" alignItems="center">
+      <div ref={labelRef} style={{ display: "inline-block" }}>
+        {/* quiet zone of 10 narrow bars on both sides for the scanners */}
+        <svg
+          xmlns="http://www.w3.org/2000/svg"
+          width={(width + 20) * 2}
+          height={height}
+          viewBox={`-10 0 ${width + 20} ${height}`}
+          preserveAspectRatio="none"
+          shapeRendering="crispEdges"
+        >
+          <rect x={-10} width={width + 20} height={height} fill="#fff" />
+          {bars.map((bar) => (
+            <rect
+              key={bar.x}
+              x={bar.x}
+              width={bar.width}
+              height={height}
+              fill="#000"
+            />
+          ))}
+        </svg>
+        <Typography
+          component="div"
+          align="center"
+          style={{ fontFamily: "monospace", letterSpacing: "2px" }}
+        >
+          {id}
+        </Typography>
+      </div>
+      <Button
+        size="small"
+        color="primary"
+        startIcon={<MdPrint />}
+        onClick={handlePrint}
+        style={{ marginLeft: "1rem" }}
+      >
+        Print label
+      </Button>
+    </Box>
+  )
+}
+
+export default IdentifierLabel
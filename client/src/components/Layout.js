@@ -20,6 +20,8 @@ import {
   MdAccountCircle,
   MdPendingActions,
   MdLogout,
+  MdCategory,
+  MdAssignmentTurnedIn,
 } from "react-icons/md"
 import { GiHamburgerMenu } from "react-icons/gi"
 import { useRole } from "../utils/UserContext"
@@ -119,6 +121,7 @@ const Layout = ({ open, setOpen }) => {
         "WarehouseManager",
         "Retailer",
         "Validator",
+        "Administrator",
       ],
       onClick: () => history.push("/dashboard"),
     },
@@ -145,11 +148,39 @@ const Layout = ({ open, setOpen }) => {
         "WarehouseManager",
         "Retailer",
         "Validator",
+        "Administrator",
       ],
       onClick: () => {
         history.push("/blockchain")
       },
     },
+    {
+      text: (
+        <Typography
+          style={{
+            fontSize: "16px",
+            color: "#fff",
+          }}
+        >
+          Block explorer
+        </Typography>
+      ),
+      icon: (
+        <GiMagnifyingGlass
+          style={{ color: "white", fontSize: "1.8rem", paddingLeft: "6px" }}
+        />
+      ),
+      allowedRole: [
+        "Planter",
+        "Miller",
+        "Refiner",
+        "WarehouseManager",
+        "Retailer",
+        "Validator",
+        "Administrator",
+      ],
+      onClick: () => history.push("/explorer"),
+    },
     {
       text: (
         <Typography
@@ -169,6 +200,25 @@ const Layout = ({ open, setOpen }) => {
       allowedRole: ["Validator"],
       onClick: () => history.push("/pendingBlock"),
     },
+    {
+      text: (
+        <Typography
+          style={{
+            fontSize: "16px",
+            color: "#fff",
+          }}
+        >
+          Mempool
+        </Typography>
+      ),
+      icon: (
+        <MdPendingActions
+          style={{ color: "white", fontSize: "1.8rem", paddingLeft: "6px" }}
+        />
+      ),
+      allowedRole: ["Validator"],
+      onClick: () => history.push("/mempool"),
+    },
     {
       text: (
         <Typography
@@ -251,6 +301,31 @@ const Layout = ({ open, setOpen }) => {
       allowedRole: ["Miller", "Refiner", "WarehouseManager", "Retailer"],
       onClick: () => history.push("/previousBatches"),
     },
+    {
+      text: (
+        <Typography
+          style={{
+            fontSize: "16px",
+            color: "#fff",
+          }}
+        >
+          Pending acknowledgements
+        </Typography>
+      ),
+      icon: (
+        <MdAssignmentTurnedIn
+          style={{ color: "white", fontSize: "1.8rem", paddingLeft: "6px" }}
+        />
+      ),
+      allowedRole: [
+        "Planter",
+        "Miller",
+        "Refiner",
+        "WarehouseManager",
+        "Retailer",
+      ],
+      onClick: () => history.push("/acknowledgements"),
+    },
     {
       text: (
         <Typography
@@ -293,6 +368,7 @@ const Layout = ({ open, setOpen }) => {
         "WarehouseManager",
         "Retailer",
         "Validator",
+        "Administrator",
       ],
       onClick: () => history.push("/products"),
     },
@@ -319,9 +395,29 @@ const Layout = ({ open, setOpen }) => {
         "WarehouseManager",
         "Retailer",
         "Validator",
+        "Administrator",
       ],
       onClick: () => history.push("/users"),
     },
+    {
+      text: (
+        <Typography
+          style={{
+            fontSize: "16px",
+            color: "#fff",
+          }}
+        >
+          Catalogue
+        </Typography>
+      ),
+      icon: (
+        <MdCategory
+          style={{ color: "white", fontSize: "1.8rem", paddingLeft: "6px" }}
+        />
+      ),
+      allowedRole: ["Administrator"],
+      onClick: () => history.push("/catalogue"),
+    },
   ]
 
   return (
@@ -346,7 +442,7 @@ const Layout = ({ open, setOpen }) => {
           <Typography variant="h6" noWrap style={{ flexGrow: 1 }}>
             Palm Oil Blockchain
           </Typography>
-          {role !== "Validator" && (
+          {role !== "Validator" && role !== "Administrator" && (
             <div>
               <IconButton
                 color="inherit"
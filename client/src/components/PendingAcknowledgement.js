@@ -0,0 +1,133 @@
+import React, { useState } from "react"
+import {
+  Button,
+  Card,
+  CardContent,
+  Grid,
+  TextField,
+  Typography,
+} from "@material-ui/core"
+import Swal from "sweetalert2"
+import axios from "../utils/axios"
+import { formatTimestamp } from "../utils/formatDate"
+import { unlockPrivateKey } from "../utils/keystore"
+import { signAcknowledgement } from "../utils/signing"
+
+// A record sent to the user, who countersigns the quantities actually received
+// before the validators decide on it
+const PendingAcknowledgement = ({ record, onAcknowledged }) => {
+  const [received, setReceived] = useState(
+    record.products.map(({ quantity }) => quantity)
+  )
+  const [notes, setNotes] = useState("")
+  const [passphrase, setPassphrase] = useState("")
+  const [isDisabled, setIsDisabled] = useState(false)
+
+  const handleAcknowledge = async () => {
+    setIsDisabled(true)
+    try {
+      // sign locally so the private key never leaves this machine
+      const acknowledgement = {
+        receivedProducts: record.products.map(({ name }, index) => ({
+          name,
+          quantity: Number(received[index]),
+        })),
+        notes: notes.trim() || undefined,
+        timestamp: new Date().toISOString(),
+      }
+      const privateKey = await unlockPrivateKey(record.toAddress, passphrase)
+      acknowledgement.signature = signAcknowledgement(
+        privateKey,
+        record.toAddress,
+        record.hash,
+        acknowledgement
+      )
+
+      const { data } = await axios.patch(
+        `/api/supply-chain/acknowledge/${record._id}`,
+        acknowledgement
+      )
+      await Swal.fire({
+        customClass: { container: "z-index: 2000" },
+        title: data.msg,
+        icon: data.record.discrepancies.length ? "warning" : "success",
+      })
+      onAcknowledged(record._id)
+    } catch (error) {
+      await Swal.fire({
+        customClass: { container: "z-index: 2000" },
+        title: error.response ? error.response.data.msg : error.message,
+        icon: "error",
+      })
+      setIsDisabled(false)
+    }
+  }
+
+  return (
+    <Card elevation={3} style={{ marginTop: "2rem" }}>
+      <CardContent>
+        <Typography variant="h6">Batch {record.batchId}</Typography>
+        <Typography color="textSecondary" style={{ wordBreak: "break-all" }}>
+          Sent by {record.createdBy} on {formatTimestamp(record.timestamp)}
+        </Typography>
+        <Grid container spacing={2} style={{ marginTop: "1rem" }}>
+          {record.products.map(({ name, quantity }, index) => (
+            <Grid container item key={name} spacing={2} alignItems="center">
+              <Grid item xs={6}>
+                <Typography>
+                  {name}: {quantity} sent
+                </Typography>
+              </Grid>
+              <Grid item xs={6}>
+                <TextField
+                  label="Quantity received"
+                  type="number"
+                  value={received[index]}
+                  inputProps={{ min: 0, max: quantity }}
+                  onChange={(event) =>
+                    setReceived(
+                      received.map((value, i) =>
+                        i === index ? event.target.value : value
+                      )
+                    )
+                  }
+                  fullWidth
+                />
+              </Grid>
+            </Grid>
+          ))}
+          <Grid item xs={12}>
+            <TextField
+              label="Discrepancy notes (optional)"
+              value={notes}
+              onChange={(event) => setNotes(event.target.value)}
+              multiline
+              fullWidth
+            />
+          </Grid>
+          <Grid item xs={12}>
+            <TextField
+              label="Keystore passphrase"
+              type="password"
+              value={passphrase}
+              onChange={(event) => setPassphrase(event.target.value)}
+              fullWidth
+            />
+          </Grid>
+          <Grid item xs={12}>
+            <Button
+              variant="outlined"
+              color="primary"
+              disabled={isDisabled || !passphrase}
+              onClick={handleAcknowledge}
+            >
+              Sign & acknowledge
+            </Button>
+          </Grid>
+        </Grid>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default PendingAcknowledgement
@@ -14,6 +14,10 @@ import {
 import { MdKeyboardArrowDown, MdKeyboardArrowUp } from "react-icons/md"
 import Swal from "sweetalert2"
 import axios from "../utils/axios"
+import { formatTimestamp } from "../utils/formatDate"
+import { signValidatorVote } from "../utils/vote"
+
+const formatPercentage = (ratio) => `${Number((ratio * 100).toFixed(2))}%`
 
 const useRowStyles = makeStyles({
   root: {
@@ -31,6 +35,7 @@ const PendingRecords = ({ record, type, api }) => {
   const [open, setOpen] = useState(false)
   const classes = useRowStyles()
   const [isValid, setIsValid] = useState(null)
+  const [hash, setHash] = useState("")
   const [isApproved, setIsApproved] = useState(null)
   const [id, setId] = useState("")
   const [isDisabled, setIsDisabled] = useState(false)
@@ -44,6 +49,7 @@ const PendingRecords = ({ record, type, api }) => {
     try {
       const { data } = await axios.get(`/api/${api}/validate/${id}`)
       setIsValid(data.isValid)
+      setHash(data.hash)
     } catch (error) {
       console.log(error.response.error.msg)
     }
@@ -52,12 +58,14 @@ const PendingRecords = ({ record, type, api }) => {
   const approveRecord = async () => {
     setIsDisabled(true)
     try {
+      const vote = await signValidatorVote(hash, isApproved)
       const { data } = await axios.patch(`/api/${api}/validate/${id}`, {
         isApproved,
+        ...vote,
       })
       setMessage(data.msg)
     } catch (error) {
-      setMessage(error.response.data.msg)
+      setMessage(error.response ? error.response.data.msg : error.message)
       setError(true)
     }
   }
@@ -128,7 +136,9 @@ const PendingRecords = ({ record, type, api }) => {
           <Typography component="div">{record._id}</Typography>
         </TableCell>
         <TableCell margin="auto" width="25%" align="center">
-          <Typography component="div">{record.timestamp}</Typography>
+          <Typography component="div">
+            {formatTimestamp(record.timestamp)}
+          </Typography>
         </TableCell>
         <TableCell margin="auto" width="25%" align="center">
           <Typography component="div">{record.status}</Typography>
@@ -281,6 +291,98 @@ const PendingRecords = ({ record, type, api }) => {
                       </TableRow>
                     </>
                   )}
+                  {record.acknowledgement && (
+                    <>
+                      <TableRow className={classes.root}>
+                        <TableCell className={classes.root}>
+                          <Typography
+                            style={{
+                              paddingTop: "15px",
+                              fontSize: "15px",
+                              fontWeight: "bold",
+                              color: "#000",
+                            }}
+                          >
+                            Receiver acknowledgement
+                          </Typography>
+                        </TableCell>
+                      </TableRow>
+                      <TableRow>
+                        <TableCell>
+                          <Typography component="div">
+                            Acknowledged by {record.acknowledgement.receiver} on{" "}
+                            {formatTimestamp(record.acknowledgement.timestamp)}
+                          </Typography>
+                          {record.discrepancies.map(
+                            ({ name, sent, received }) => (
+                              <Typography
+                                component="div"
+                                key={name}
+                                style={{ color: "#ed6c02", fontWeight: "bold" }}
+                              >
+                                {name}: {sent} sent, {received} received
+                              </Typography>
+                            )
+                          )}
+                          {record.acknowledgement.notes && (
+                            <Typography component="div">
+                              Notes: {record.acknowledgement.notes}
+                            </Typography>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    </>
+                  )}
+                  {record.massBalance && (
+                    <>
+                      <TableRow className={classes.root}>
+                        <TableCell className={classes.root}>
+                          <Typography
+                            style={{
+                              paddingTop: "15px",
+                              fontSize: "15px",
+                              fontWeight: "bold",
+                              color: "#000",
+                            }}
+                          >
+                            Yield
+                          </Typography>
+                        </TableCell>
+                      </TableRow>
+                      <TableRow>
+                        <TableCell>
+                          {record.massBalance.status === "Low" && (
+                            <Typography
+                              component="div"
+                              style={{ color: "#ed6c02", fontWeight: "bold" }}
+                            >
+                              Warning: the yield is below the expected range,
+                              the input may have been diverted
+                            </Typography>
+                          )}
+                          <Typography component="div">
+                            {record.massBalance.outputQuantity} out of{" "}
+                            {record.massBalance.inputQuantity} taken from the
+                            input batches, tolerance{" "}
+                            {formatPercentage(record.massBalance.tolerance)}
+                          </Typography>
+                          {record.massBalance.yields.map((item) => (
+                            <Typography
+                              component="div"
+                              key={item.to}
+                              style={{
+                                color: item.status === "Low" ? "#ed6c02" : "",
+                              }}
+                            >
+                              {item.to} from {item.from}:{" "}
+                              {formatPercentage(item.yield)} (expected{" "}
+                              {formatPercentage(item.expectedYield)})
+                            </Typography>
+                          ))}
+                        </TableCell>
+                      </TableRow>
+                    </>
+                  )}
                   {record.batchId && (
                     <>
                       <TableRow className={classes.root}>
@@ -331,6 +433,33 @@ const PendingRecords = ({ record, type, api }) => {
                       </TableRow>
                     </>
                   )}
+                  {record.inputs?.length > 0 && (
+                    <>
+                      <TableRow className={classes.root}>
+                        <TableCell className={classes.root}>
+                          <Typography
+                            style={{
+                              paddingTop: "15px",
+                              fontSize: "15px",
+                              fontWeight: "bold",
+                              color: "#000",
+                            }}
+                          >
+                            Input batches
+                          </Typography>
+                        </TableCell>
+                      </TableRow>
+                      <TableRow>
+                        <TableCell>
+                          {record.inputs.map(({ batchId, name, quantity }) => (
+                            <Typography component="div" key={batchId + name}>
+                              {quantity} {name} from batch {batchId}
+                            </Typography>
+                          ))}
+                        </TableCell>
+                      </TableRow>
+                    </>
+                  )}
                   {record.transactionReceipt && (
                     <>
                       <TableRow className={classes.root}>
@@ -11,6 +11,7 @@ import {
   Typography,
 } from "@material-ui/core"
 import { MdKeyboardArrowDown, MdKeyboardArrowUp } from "react-icons/md"
+import { formatTimestamp } from "../utils/formatDate"
 
 const useRowStyles = makeStyles({
   root: {
@@ -45,7 +46,9 @@ const RecordsRow = ({ records }) => {
           <Typography component="div">{records._id}</Typography>
         </TableCell>
         <TableCell margin="auto" width="25%" align="center">
-          <Typography component="div">{records.timestamp}</Typography>
+          <Typography component="div">
+            {formatTimestamp(records.timestamp)}
+          </Typography>
         </TableCell>
         <TableCell margin="auto" width="25%" align="center">
           <Typography component="div">{records.status}</Typography>
@@ -237,6 +240,62 @@ const RecordsRow = ({ records }) => {
                       </TableRow>
                     </>
                   )}
+                  {records.inputs?.length > 0 && (
+                    <>
+                      <TableRow className={classes.root}>
+                        <TableCell className={classes.root}>
+                          <Typography
+                            style={{
+                              paddingTop: "15px",
+                              fontSize: "15px",
+                              fontWeight: "bold",
+                              color: "#000",
+                            }}
+                          >
+                            Input batches
+                          </Typography>
+                        </TableCell>
+                      </TableRow>
+                      <TableRow>
+                        <TableCell>
+                          {records.inputs.map(({ batchId, name, quantity }) => (
+                            <Typography component="div" key={batchId + name}>
+                              {quantity} {name} from batch {batchId}
+                            </Typography>
+                          ))}
+                        </TableCell>
+                      </TableRow>
+                    </>
+                  )}
+                  {records.balance && (
+                    <>
+                      <TableRow className={classes.root}>
+                        <TableCell className={classes.root}>
+                          <Typography
+                            style={{
+                              paddingTop: "15px",
+                              fontSize: "15px",
+                              fontWeight: "bold",
+                              color: "#000",
+                            }}
+                          >
+                            Remaining
+                          </Typography>
+                        </TableCell>
+                      </TableRow>
+                      <TableRow>
+                        <TableCell>
+                          {records.balance.map(
+                            ({ name, quantity, remaining }) => (
+                              <Typography component="div" key={name}>
+                                {remaining} of {quantity} {name}
+                              </Typography>
+                            )
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    </>
+                  )}
                   {records.transactionReceipt && (
                     <>
                       <TableRow className={classes.root}>
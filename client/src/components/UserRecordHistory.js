@@ -11,6 +11,8 @@ import {
   Typography,
 } from "@material-ui/core"
 import { MdKeyboardArrowDown, MdKeyboardArrowUp } from "react-icons/md"
+import { formatTimestamp } from "../utils/formatDate"
+import IdentifierLabel from "./IdentifierLabel"
 
 const useRowStyles = makeStyles({
   root: {
@@ -44,7 +46,9 @@ const UserRecordHistory = ({ records }) => {
           <Typography component="div">{records._id}</Typography>
         </TableCell>
         <TableCell margin="auto" width="25%" align="center">
-          <Typography component="div">{records.timestamp}</Typography>
+          <Typography component="div">
+            {formatTimestamp(records.timestamp)}
+          </Typography>
         </TableCell>
         <TableCell margin="auto" width="25%" align="center">
           <Typography component="div">{records.status}</Typography>
@@ -213,9 +217,7 @@ const UserRecordHistory = ({ records }) => {
                       </TableRow>
                       <TableRow>
                         <TableCell>
-                          <Typography component="div">
-                            {records.batchId}
-                          </Typography>
+                          <IdentifierLabel id={records.batchId} />
                         </TableCell>
                       </TableRow>
                     </>
@@ -245,6 +247,33 @@ const UserRecordHistory = ({ records }) => {
                       </TableRow>
                     </>
                   )}
+                  {records.inputs?.length > 0 && (
+                    <>
+                      <TableRow className={classes.root}>
+                        <TableCell className={classes.root}>
+                          <Typography
+                            style={{
+                              paddingTop: "15px",
+                              fontSize: "15px",
+                              fontWeight: "bold",
+                              color: "#000",
+                            }}
+                          >
+                            Input batches
+                          </Typography>
+                        </TableCell>
+                      </TableRow>
+                      <TableRow>
+                        <TableCell>
+                          {records.inputs.map(({ batchId, name, quantity }) => (
+                            <Typography component="div" key={batchId + name}>
+                              {quantity} {name} from batch {batchId}
+                            </Typography>
+                          ))}
+                        </TableCell>
+                      </TableRow>
+                    </>
+                  )}
                   {records.transactionReceipt && (
                     <>
                       <TableRow className={classes.root}>
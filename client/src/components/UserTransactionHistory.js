@@ -11,6 +11,7 @@ import {
   Typography,
 } from "@material-ui/core"
 import { MdKeyboardArrowDown, MdKeyboardArrowUp } from "react-icons/md"
+import { formatTimestamp } from "../utils/formatDate"
 
 const useRowStyles = makeStyles({
   root: {
@@ -44,7 +45,9 @@ const UserTransactionHistory = ({ userTransaction, username }) => {
           <Typography component="div">{userTransaction._id}</Typography>
         </TableCell>
         <TableCell margin="auto" width="25%" align="center">
-          <Typography component="div">{userTransaction.timestamp}</Typography>
+          <Typography component="div">
+            {formatTimestamp(userTransaction.timestamp)}
+          </Typography>
         </TableCell>
         <TableCell margin="auto" width="25%" align="center">
           <Typography component="div">{userTransaction.status}</Typography>
@@ -10,6 +10,7 @@ import { useFetch } from "../utils/useFetch"
 import RecordsRow from "../components/RecordsRow"
 import { IoMdArrowRoundBack } from "react-icons/io"
 import Loading from "../components/Loading"
+import { formatTimestamp } from "../utils/formatDate"
 
 const useStyles = makeStyles((theme) => ({
   root: {
@@ -118,7 +119,7 @@ const BlockDetailsPage = () => {
                   Timestamp:
                 </Typography>
                 <Typography component="div" style={{ paddingBottom: "15px" }}>
-                  {blockData.block.timestamp}
+                  {formatTimestamp(blockData.block.timestamp)}
                 </Typography>
               </>
             )}
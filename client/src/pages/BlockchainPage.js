@@ -46,9 +46,13 @@ const BlockchainTable = () => {
   const classes = useStyles()
   const [rowsPerPage, setRowsPerPage] = useState(5)
   const [page, setPage] = useState(0)
-  const [order, setOrder] = useState(null)
-  const [orderBy, setOrderBy] = useState()
-  const { data, isLoading, serverError } = useFetch("/api/blocks/blockchain")
+  const [order, setOrder] = useState("asc")
+  // the table only needs the block headers, one page at a time
+  const { data, isLoading, serverError } = useFetch(
+    `/api/blocks/blockchain?page=${
+      page + 1
+    }&limit=${rowsPerPage}&order=${order}&headers=true`
+  )
 
   const handleChangePage = (event, newPage) => {
     setPage(newPage)
@@ -60,42 +64,15 @@ const BlockchainTable = () => {
   }
 
   const handleSortRequest = () => {
-    const isAsc = orderBy === "blockId" && order === "asc"
-    setOrder(isAsc ? "desc" : "asc")
-    setOrderBy("blockId")
-  }
-
-  const stableSort = (array, comparator) => {
-    const stabilizedThis = array?.map((el, index) => [el, index])
-    stabilizedThis?.sort((a, b) => {
-      const order = comparator(a[0], b[0])
-      if (order !== 0) return order
-      return a[1] - b[1]
-    })
-    return stabilizedThis?.map((el) => el[0])
-  }
-
-  function getComparator(order, orderBy) {
-    return order === "desc"
-      ? (a, b) => descendingComparator(a, b, orderBy)
-      : (a, b) => -descendingComparator(a, b, orderBy)
-  }
-
-  function descendingComparator(a, b, orderBy) {
-    if (b[orderBy] < a[orderBy]) {
-      return -1
-    }
-    if (b[orderBy] > a[orderBy]) {
-      return 1
-    }
-    return 0
+    setOrder(order === "asc" ? "desc" : "asc")
+    setPage(0)
   }
 
   const emptyRows =
-    rowsPerPage -
-    Math.min(rowsPerPage, data?.blockchain.length - page * rowsPerPage)
+    rowsPerPage - Math.min(rowsPerPage, data?.blockchain.length || 0)
 
-  if (isLoading) {
+  // keep the current page on screen while the next one loads
+  if (isLoading && !data) {
     return <Loading />
   }
 
@@ -131,8 +108,8 @@ const BlockchainTable = () => {
               <TableRow>
                 <TableCell width="30%" style={{ paddingLeft: "16%" }}>
                   <TableSortLabel
-                    active={orderBy === "blockId"}
-                    direction={orderBy === "blockId" ? order : "asc"}
+                    active
+                    direction={order}
                     onClick={() => handleSortRequest()}
                   >
                     <Typography
@@ -174,11 +151,9 @@ const BlockchainTable = () => {
               </TableRow>
             </TableHead>
             <TableBody>
-              {stableSort(data?.blockchain, getComparator(order, orderBy))
-                ?.slice(page * rowsPerPage, page * rowsPerPage + rowsPerPage)
-                .map((block) => (
-                  <BlockRows key={block.blockId} block={block} />
-                ))}
+              {data?.blockchain.map((block) => (
+                <BlockRows key={block.blockId} block={block} />
+              ))}
               {emptyRows > 0 && (
                 <TableRow style={{ height: 57 * emptyRows }}>
                   <TableCell colSpan={6} />
@@ -189,7 +164,7 @@ const BlockchainTable = () => {
           <TablePagination
             rowsPerPageOptions={[5, 10, 15]}
             component="div"
-            count={data?.blockchain.length}
+            count={data?.total || 0}
             rowsPerPage={rowsPerPage}
             page={page}
             onPageChange={handleChangePage}
@@ -0,0 +1,302 @@
+import React, { useEffect, useState } from "react"
+import {
+  Button,
+  Card,
+  CardContent,
+  CardHeader,
+  Checkbox,
+  Grid,
+  IconButton,
+  MenuItem,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from "@material-ui/core"
+import { MdAddCircleOutline, MdDelete } from "react-icons/md"
+import Swal from "sweetalert2"
+import axios from "../utils/axios"
+import { useFetch } from "../utils/useFetch"
+import { formatTimestamp } from "../utils/formatDate"
+import Loading from "../components/Loading"
+
+const ROLES = ["Planter", "Miller", "Refiner", "WarehouseManager", "Retailer"]
+
+const splitProducts = (text) =>
+  text
+    .split(",")
+    .map((product) => product.trim())
+    .filter((product) => product)
+
+// one "FROM -> TO = ratio" conversion per line
+const formatConversions = (conversions) =>
+  conversions
+    .map(({ from, to, ratio }) => `${from} -> ${to} = ${ratio}`)
+    .join("\n")
+
+const parseConversions = (text) =>
+  text
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => {
+      const [products, ratio] = line.split("=")
+      const [from, to] = products.split("->")
+      return {
+        from: from.trim(),
+        to: (to || "").trim(),
+        ratio: Number(ratio),
+      }
+    })
+
+// Lets an administrator edit the products of the supply chain and its stages,
+// records already created keep the products and batch IDs they were created
+// with
+const CataloguePage = () => {
+  const { data, isLoading, serverError } = useFetch("/api/catalogue")
+  const [products, setProducts] = useState("")
+  const [stages, setStages] = useState([])
+
+  const setCatalogue = (catalogue) => {
+    setProducts(catalogue.products.join(", "))
+    setStages(
+      catalogue.stages.map((stage) => ({
+        ...stage,
+        products: stage.products.join(", "),
+        conversions: formatConversions(stage.conversions || []),
+        yieldTolerance: stage.yieldTolerance * 100,
+      }))
+    )
+  }
+
+  useEffect(() => {
+    if (data) setCatalogue(data.catalogue)
+  }, [data])
+
+  const updateStage = (index, changes) => {
+    setStages(
+      stages.map((stage, i) => (i === index ? { ...stage, ...changes } : stage))
+    )
+  }
+
+  const handleSave = async () => {
+    try {
+      const { data } = await axios.put("/api/catalogue", {
+        products: splitProducts(products),
+        stages: stages.map((stage) => ({
+          role: stage.role,
+          batchPrefix: stage.batchPrefix.trim().toUpperCase(),
+          products: splitProducts(stage.products),
+          inputStage: stage.inputStage || null,
+          createsProducts: stage.createsProducts,
+          conversions: parseConversions(stage.conversions),
+          yieldTolerance: Number(stage.yieldTolerance) / 100,
+        })),
+      })
+      setCatalogue(data.catalogue)
+      Swal.fire({
+        customClass: { container: "z-index: 2000" },
+        title: data.msg,
+        icon: "success",
+      })
+    } catch (error) {
+      Swal.fire({
+        customClass: { container: "z-index: 2000" },
+        title: error.response ? error.response.data.msg : error.message,
+        icon: "error",
+      })
+    }
+  }
+
+  if (isLoading) {
+    return <Loading />
+  }
+
+  if (serverError) {
+    Swal.fire({
+      customClass: { container: "z-index: 2000" },
+      title: serverError.response.data.msg,
+      icon: "error",
+    })
+  }
+
+  return (
+    <Grid container>
+      <Grid item xl={12} lg={11} md={10} sm={10} xs={10}>
+        <Card elevation={3} style={{ margin: "3rem auto", maxWidth: 1400 }}>
+          <CardHeader
+            title={
+              <Typography variant="h5" component="h1" align="center">
+                Commodity Catalogue
+              </Typography>
+            }
+            subheader={
+              data?.catalogue.updatedAt && (
+                <Typography align="center" color="textSecondary">
+                  Last updated on {formatTimestamp(data.catalogue.updatedAt)} by{" "}
+                  {data.catalogue.updatedBy}
+                </Typography>
+              )
+            }
+          />
+          <CardContent>
+            <TextField
+              label="Products (comma separated)"
+              value={products}
+              onChange={(event) => setProducts(event.target.value)}
+              multiline
+              fullWidth
+            />
+            <Table size="small" style={{ marginTop: "2rem" }}>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Role</TableCell>
+                  <TableCell>Batch prefix</TableCell>
+                  <TableCell width="20%">Products (comma separated)</TableCell>
+                  <TableCell>Input stage</TableCell>
+                  <TableCell>Creates products</TableCell>
+                  <TableCell width="25%">
+                    Conversions (FROM -&gt; TO = yield)
+                  </TableCell>
+                  <TableCell>Yield tolerance (%)</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {stages.map((stage, index) => (
+                  <TableRow key={index}>
+                    <TableCell>
+                      <Select
+                        value={stage.role}
+                        onChange={(event) =>
+                          updateStage(index, { role: event.target.value })
+                        }
+                        fullWidth
+                      >
+                        {ROLES.map((role) => (
+                          <MenuItem value={role} key={role}>
+                            {role}
+                          </MenuItem>
+                        ))}
+                      </Select>
+                    </TableCell>
+                    <TableCell>
+                      <TextField
+                        value={stage.batchPrefix}
+                        onChange={(event) =>
+                          updateStage(index, {
+                            batchPrefix: event.target.value,
+                          })
+                        }
+                      />
+                    </TableCell>
+                    <TableCell>
+                      <TextField
+                        value={stage.products}
+                        onChange={(event) =>
+                          updateStage(index, { products: event.target.value })
+                        }
+                        multiline
+                        fullWidth
+                      />
+                    </TableCell>
+                    <TableCell>
+                      <Select
+                        value={stage.inputStage || ""}
+                        onChange={(event) =>
+                          updateStage(index, { inputStage: event.target.value })
+                        }
+                        displayEmpty
+                        fullWidth
+                      >
+                        <MenuItem value="">None</MenuItem>
+                        {stages
+                          .filter((other) => other.role !== stage.role)
+                          .map((other) => (
+                            <MenuItem value={other.role} key={other.role}>
+                              {other.role}
+                            </MenuItem>
+                          ))}
+                      </Select>
+                    </TableCell>
+                    <TableCell>
+                      <Checkbox
+                        color="primary"
+                        checked={stage.createsProducts}
+                        onChange={(event) =>
+                          updateStage(index, {
+                            createsProducts: event.target.checked,
+                          })
+                        }
+                      />
+                    </TableCell>
+                    <TableCell>
+                      <TextField
+                        value={stage.conversions}
+                        onChange={(event) =>
+                          updateStage(index, {
+                            conversions: event.target.value,
+                          })
+                        }
+                        multiline
+                        fullWidth
+                      />
+                    </TableCell>
+                    <TableCell>
+                      <TextField
+                        type="number"
+                        value={stage.yieldTolerance}
+                        onChange={(event) =>
+                          updateStage(index, {
+                            yieldTolerance: event.target.value,
+                          })
+                        }
+                      />
+                    </TableCell>
+                    <TableCell>
+                      <IconButton
+                        onClick={() =>
+                          setStages(stages.filter((_, i) => i !== index))
+                        }
+                      >
+                        <MdDelete />
+                      </IconButton>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+            <IconButton
+              onClick={() =>
+                setStages([
+                  ...stages,
+                  {
+                    role: "",
+                    batchPrefix: "",
+                    products: "",
+                    inputStage: null,
+                    createsProducts: false,
+                    conversions: "",
+                    yieldTolerance: 10,
+                  },
+                ])
+              }
+            >
+              <MdAddCircleOutline />
+            </IconButton>
+            <Grid container justifyContent="flex-end">
+              <Button variant="outlined" color="primary" onClick={handleSave}>
+                Save catalogue
+              </Button>
+            </Grid>
+          </CardContent>
+        </Card>
+      </Grid>
+    </Grid>
+  )
+}
+
+export default CataloguePage
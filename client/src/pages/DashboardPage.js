@@ -16,7 +16,11 @@ import WeeklyBlocksChart from "../components/WeeklyBlocksChart"
 import WeeklyRecordsChart from "../components/WeeklyRecordsChart"
 import UsersChart from "../components/UsersChart"
 import WeeklyProductsChart from "../components/WeeklyProductsChart"
+import ChainReport from "../components/ChainReport"
+import AuditStatus from "../components/AuditStatus"
 import axios from "../utils/axios"
+import { useRole } from "../utils/UserContext"
+import { signValidatorVote } from "../utils/vote"
 import blockchain from "../assets/blockchain.png"
 
 const useStyles = makeStyles({
@@ -32,23 +36,90 @@ const useStyles = makeStyles({
 const DashboardPage = () => {
   const classes = useStyles()
   const [isChainValid, setIsChainValid] = useState(null)
+  const [report, setReport] = useState(null)
   const [isClicked, setIsClicked] = useState(false)
+  const [candidate, setCandidate] = useState(null)
+  const { role } = useRole()
 
-  const handleClick = async () => {
+  const getCheckpoints = async () => {
     try {
-      const { data } = await axios.get("/api/blocks/blockchain/validate")
+      const { data } = await axios.get("/api/blocks/checkpoints")
+      setCandidate(data.candidate)
+    } catch (error) {
+      console.log(error.response)
+    }
+  }
+
+  // only the blocks after the latest signed checkpoint are checked unless a
+  // full revalidation is asked for
+  const handleClick = async (isFull) => {
+    try {
+      const { data } = await axios.get(
+        `/api/blocks/blockchain/validate${isFull ? "?full=true" : ""}`
+      )
       setIsChainValid(data.isValid)
+      setReport(data.report)
       setIsClicked(!isClicked)
+      getCheckpoints()
     } catch (error) {
       console.log(error.response)
     }
   }
 
+  // validates the chain from the latest signed checkpoint and proposes its
+  // last block as the next checkpoint
+  const handleProposeCheckpoint = async () => {
+    try {
+      const { data } = await axios.post("/api/blocks/checkpoints")
+      getCheckpoints()
+      Swal.fire({
+        customClass: { container: "z-index: 2000" },
+        title: data.msg,
+        icon: "success",
+      })
+    } catch (error) {
+      Swal.fire({
+        customClass: { container: "z-index: 2000" },
+        title: error.response ? error.response.data.msg : error.message,
+        icon: "warning",
+      })
+    }
+  }
+
+  const handleSignCheckpoint = async () => {
+    try {
+      const vote = await signValidatorVote(candidate.checkpointHash, true)
+      const { data } = await axios.put(
+        `/api/blocks/checkpoints/${candidate.blockId}`,
+        vote
+      )
+      setCandidate(data.checkpoint.status === "Signed" ? null : candidate)
+      Swal.fire({
+        customClass: { container: "z-index: 2000" },
+        title: data.msg,
+        icon: "success",
+      })
+    } catch (error) {
+      Swal.fire({
+        customClass: { container: "z-index: 2000" },
+        title: error.response ? error.response.data.msg : error.message,
+        icon: "warning",
+      })
+    }
+  }
+
+  useEffect(() => {
+    if (role === "Validator") getCheckpoints()
+  }, [role])
+
   useEffect(() => {
     if (isChainValid !== null)
       Swal.fire({
         customClass: { container: "z-index: 2000" },
         title: isChainValid ? "Blockchain is valid" : "Blockchain is invalid!",
+        text: isChainValid
+          ? ""
+          : "See the integrity report below for the failed checks",
         icon: isChainValid ? "success" : "error",
       })
   }, [isClicked])
@@ -85,11 +156,37 @@ const DashboardPage = () => {
               <Button
                 variant="outlined"
                 color="primary"
-                onClick={handleClick}
+                onClick={() => handleClick(false)}
                 align="center"
               >
                 Check validity
               </Button>
+              <Button
+                size="small"
+                color="primary"
+                onClick={() => handleClick(true)}
+                align="center"
+              >
+                Full revalidation
+              </Button>
+              {role === "Validator" && !candidate && (
+                <Button
+                  size="small"
+                  color="primary"
+                  onClick={handleProposeCheckpoint}
+                >
+                  Propose checkpoint
+                </Button>
+              )}
+              {role === "Validator" && candidate && (
+                <Button
+                  size="small"
+                  color="primary"
+                  onClick={handleSignCheckpoint}
+                >
+                  Sign checkpoint at block {candidate.blockId}
+                </Button>
+              )}
             </CardContent>
           </Card>
         </Grid>
@@ -153,6 +250,14 @@ const DashboardPage = () => {
             </CardContent>
           </Card>
         </Grid>
+        <Grid item xl={11} lg={9} md={9} sm={9} xs={8}>
+          <AuditStatus />
+        </Grid>
+        {report && (
+          <Grid item xl={11} lg={9} md={9} sm={9} xs={8}>
+            <ChainReport report={report} />
+          </Grid>
+        )}
       </Grid>
     </Container>
   )
@@ -0,0 +1,244 @@
+import React, { useState } from "react"
+import { Link } from "react-router-dom"
+import {
+  makeStyles,
+  Card,
+  CardContent,
+  Grid,
+  IconButton,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from "@material-ui/core"
+import { MdSearch } from "react-icons/md"
+import Swal from "sweetalert2"
+import axios from "../utils/axios"
+import { formatTimestamp } from "../utils/formatDate"
+
+const useStyles = makeStyles((theme) => ({
+  card: {
+    width: "60vw",
+    marginTop: "3rem",
+    marginLeft: "auto",
+    marginRight: "auto",
+  },
+  tableContainer: {
+    width: "60vw",
+    marginTop: "2rem",
+    marginLeft: "auto",
+    marginRight: "auto",
+  },
+  tableHead: {
+    backgroundColor: "#4A78D0",
+  },
+  headCell: {
+    fontSize: "15px",
+    color: "white",
+    fontWeight: "bold",
+  },
+  row: {
+    "&:nth-of-type(odd)": {
+      backgroundColor: theme.palette.primary.light,
+    },
+  },
+  ellipsis: {
+    maxWidth: "20vw",
+    overflow: "hidden",
+    textOverflow: "ellipsis",
+    whiteSpace: "nowrap",
+  },
+}))
+
+const ExplorerPage = () => {
+  const classes = useStyles()
+  const [query, setQuery] = useState("")
+  const [result, setResult] = useState(null)
+
+  const handleSearch = async (e) => {
+    e.preventDefault()
+    try {
+      const { data } = await axios.get("/api/blocks/search", {
+        params: { q: query },
+      })
+      setResult(data)
+    } catch (error) {
+      Swal.fire({
+        customClass: { container: "z-index: 2000" },
+        title: error.response.data.msg,
+        icon: "error",
+      })
+    }
+  }
+
+  const isEmpty =
+    result &&
+    result.blocks.length === 0 &&
+    result.records.length === 0 &&
+    !result.user &&
+    !result.product
+
+  return (
+    <Grid container>
+      <Grid item xl={12} lg={11} md={10} sm={10} xs={10}>
+        <Card className={classes.card} elevation={3}>
+          <CardContent>
+            <form onSubmit={handleSearch}>
+              <Grid container spacing={1}>
+                <Grid xs={11} item>
+                  <TextField
+                    name="query"
+                    label="Search the blockchain"
+                    placeholder="Block hash, transaction or record ID, batch ID, product ID or public key"
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                    autoComplete="off"
+                    fullWidth
+                  />
+                </Grid>
+                <Grid xs={1} item>
+                  <IconButton
+                    type="submit"
+                    style={{ marginTop: "5px" }}
+                    color="primary"
+                  >
+                    <MdSearch />
+                  </IconButton>
+                </Grid>
+              </Grid>
+            </form>
+            {result?.user && (
+              <Typography style={{ marginTop: "1rem" }}>
+                Public key of {result.user.username} ({result.user.role})
+              </Typography>
+            )}
+            {result?.product && (
+              <Typography style={{ marginTop: "1rem" }}>
+                Product {result.product.productId} ({result.product.productName}
+                ) from batch {result.product.prevBatchId}
+              </Typography>
+            )}
+            {isEmpty && (
+              <Typography style={{ marginTop: "1rem" }}>
+                Nothing found for {result.query}
+              </Typography>
+            )}
+          </CardContent>
+        </Card>
+
+        {result?.blocks.length > 0 && (
+          <TableContainer
+            component={Paper}
+            className={classes.tableContainer}
+            elevation={3}
+          >
+            <Table aria-label="matching blocks">
+              <TableHead className={classes.tableHead}>
+                <TableRow>
+                  <TableCell align="center">
+                    <Typography className={classes.headCell}>Block</Typography>
+                  </TableCell>
+                  <TableCell align="center">
+                    <Typography className={classes.headCell}>Hash</Typography>
+                  </TableCell>
+                  <TableCell align="center">
+                    <Typography className={classes.headCell}>
+                      Timestamp
+                    </Typography>
+                  </TableCell>
+                  <TableCell align="center">
+                    <Typography className={classes.headCell}>
+                      Records
+                    </Typography>
+                  </TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {result.blocks.map((block) => (
+                  <TableRow key={block.hash} className={classes.row}>
+                    <TableCell align="center">
+                      <Link
+                        to={`/block/${block.blockId}`}
+                        style={{ textDecoration: "none", color: "black" }}
+                      >
+                        BLOCK {block.blockId}
+                      </Link>
+                    </TableCell>
+                    <TableCell align="center" className={classes.ellipsis}>
+                      {block.hash}
+                    </TableCell>
+                    <TableCell align="center">
+                      {formatTimestamp(block.timestamp)}
+                    </TableCell>
+                    <TableCell align="center">{block.recordCount}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+
+        {result?.records.length > 0 && (
+          <TableContainer
+            component={Paper}
+            className={classes.tableContainer}
+            elevation={3}
+          >
+            <Table aria-label="matching records">
+              <TableHead className={classes.tableHead}>
+                <TableRow>
+                  <TableCell align="center">
+                    <Typography className={classes.headCell}>ID</Typography>
+                  </TableCell>
+                  <TableCell align="center">
+                    <Typography className={classes.headCell}>
+                      Details
+                    </Typography>
+                  </TableCell>
+                  <TableCell align="center">
+                    <Typography className={classes.headCell}>Status</Typography>
+                  </TableCell>
+                  <TableCell align="center">
+                    <Typography className={classes.headCell}>Block</Typography>
+                  </TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {result.records.map((record) => (
+                  <TableRow key={record._id} className={classes.row}>
+                    <TableCell align="center">{record._id}</TableCell>
+                    <TableCell align="center">
+                      {record.type === "transaction"
+                        ? `Transaction of ${record.amount}`
+                        : `Supply-chain record ${record.batchId}`}
+                    </TableCell>
+                    <TableCell align="center">{record.status}</TableCell>
+                    <TableCell align="center">
+                      {record.blockId !== null ? (
+                        <Link
+                          to={`/block/${record.blockId}`}
+                          style={{ textDecoration: "none", color: "black" }}
+                        >
+                          BLOCK {record.blockId}
+                        </Link>
+                      ) : (
+                        "-"
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </Grid>
+    </Grid>
+  )
+}
+
+export default ExplorerPage
@@ -0,0 +1,156 @@
+import React, { useState } from "react"
+import {
+  makeStyles,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  TablePagination,
+  Typography,
+  Grid,
+} from "@material-ui/core"
+import Swal from "sweetalert2"
+import { useFetch } from "../utils/useFetch"
+import { formatTimestamp } from "../utils/formatDate"
+import Loading from "../components/Loading"
+
+const useRowStyles = makeStyles((theme) => ({
+  tableContainer: {
+    width: "60vw",
+    marginTop: "3rem",
+    marginLeft: "auto",
+    marginRight: "auto",
+  },
+  tableHead: {
+    backgroundColor: "#4A78D0",
+  },
+  headCell: {
+    fontSize: "15px",
+    color: "white",
+    fontWeight: "bold",
+  },
+  row: {
+    "&:nth-of-type(odd)": {
+      backgroundColor: theme.palette.primary.light,
+    },
+  },
+}))
+
+const MempoolPage = () => {
+  const classes = useRowStyles()
+  const [rowsPerPage, setRowsPerPage] = useState(5)
+  const [page, setPage] = useState(0)
+  const { data, isLoading, serverError } = useFetch("/api/mempool")
+
+  const handleChangePage = (event, newPage) => {
+    setPage(newPage)
+  }
+
+  const handleChangeRowsPerPage = (event) => {
+    setRowsPerPage(parseInt(event.target.value, 10))
+    setPage(0)
+  }
+
+  if (isLoading) {
+    return <Loading />
+  }
+
+  if (serverError) {
+    Swal.fire({
+      customClass: { container: "z-index: 2000" },
+      title: serverError.response.data.msg,
+      icon: "error",
+    })
+  }
+
+  const emptyRows =
+    rowsPerPage -
+    Math.min(rowsPerPage, data?.records.length - page * rowsPerPage)
+
+  return (
+    <Grid container>
+      <Grid item xl={12} lg={11} md={10} sm={10} xs={10}>
+        <TableContainer
+          component={Paper}
+          className={classes.tableContainer}
+          elevation={3}
+        >
+          <Typography
+            style={{
+              textAlign: "center",
+              marginTop: "20px",
+              fontSize: "20px",
+              fontWeight: "bolder",
+              color: "#000",
+            }}
+          >
+            MEMPOOL
+          </Typography>
+          <Typography style={{ textAlign: "center", marginBottom: "15px" }}>
+            {data?.count} approved records waiting for a block
+            {data?.hibernatingBlock &&
+              `, hibernating block ${data.hibernatingBlock.size}/${data.hibernatingBlock.capacity} full`}
+            {`, ${data?.pendingBlocks} pending blocks`}
+          </Typography>
+          <Table aria-label="mempool table">
+            <TableHead className={classes.tableHead}>
+              <TableRow>
+                <TableCell align="center" width="10%">
+                  <Typography className={classes.headCell}>#</Typography>
+                </TableCell>
+                <TableCell align="center" width="40%">
+                  <Typography className={classes.headCell}>ID</Typography>
+                </TableCell>
+                <TableCell align="center" width="20%">
+                  <Typography className={classes.headCell}>Type</Typography>
+                </TableCell>
+                <TableCell align="center" width="30%">
+                  <Typography className={classes.headCell}>
+                    Approved at
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {data?.records
+                .slice(page * rowsPerPage, page * rowsPerPage + rowsPerPage)
+                .map((record) => (
+                  <TableRow key={record._id} className={classes.row}>
+                    <TableCell align="center">{record.position}</TableCell>
+                    <TableCell align="center">{record._id}</TableCell>
+                    <TableCell align="center">
+                      {record.type === "transaction"
+                        ? "Transaction"
+                        : `Supply-chain record ${record.batchId}`}
+                    </TableCell>
+                    <TableCell align="center">
+                      {formatTimestamp(record.approvedAt || record.timestamp)}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              {emptyRows > 0 && (
+                <TableRow style={{ height: 57 * emptyRows }}>
+                  <TableCell colSpan={4} />
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+          <TablePagination
+            rowsPerPageOptions={[5, 10, 15]}
+            component="div"
+            count={data?.records.length || 0}
+            rowsPerPage={rowsPerPage}
+            page={page}
+            onPageChange={handleChangePage}
+            onRowsPerPageChange={handleChangeRowsPerPage}
+          />
+        </TableContainer>
+      </Grid>
+    </Grid>
+  )
+}
+
+export default MempoolPage
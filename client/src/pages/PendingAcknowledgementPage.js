@@ -0,0 +1,64 @@
+import React, { useEffect, useState } from "react"
+import { Grid, Typography } from "@material-ui/core"
+import Swal from "sweetalert2"
+import { useFetch } from "../utils/useFetch"
+import Loading from "../components/Loading"
+import PendingAcknowledgement from "../components/PendingAcknowledgement"
+
+const PendingAcknowledgementPage = () => {
+  const { data, isLoading, serverError } = useFetch(
+    "/api/supply-chain/acknowledgements"
+  )
+  const [records, setRecords] = useState([])
+
+  useEffect(() => {
+    if (data) setRecords(data.records)
+  }, [data])
+
+  if (isLoading) {
+    return <Loading />
+  }
+
+  if (serverError) {
+    Swal.fire({
+      customClass: { container: "z-index: 2000" },
+      title: serverError.response.data.msg,
+      icon: "error",
+    })
+  }
+
+  return (
+    <Grid container>
+      <Grid item xl={12} lg={11} md={10} sm={10} xs={10}>
+        <div style={{ maxWidth: 800, margin: "3rem auto" }}>
+          <Typography
+            style={{
+              textAlign: "center",
+              fontSize: "20px",
+              fontWeight: "bolder",
+              color: "#000",
+            }}
+          >
+            Pending Acknowledgements
+          </Typography>
+          {records.length === 0 && (
+            <Typography align="center" color="textSecondary">
+              No handover waits for your acknowledgement
+            </Typography>
+          )}
+          {records.map((record) => (
+            <PendingAcknowledgement
+              key={record._id}
+              record={record}
+              onAcknowledged={(id) =>
+                setRecords(records.filter((record) => record._id !== id))
+              }
+            />
+          ))}
+        </div>
+      </Grid>
+    </Grid>
+  )
+}
+
+export default PendingAcknowledgementPage
@@ -3,14 +3,17 @@ import { Grid, Button } from "@material-ui/core"
 import Swal from "sweetalert2"
 import axios from "../utils/axios"
 import HibernatingBlock from "../components/HibernatingBlock"
+import { signValidatorVote } from "../utils/vote"
 
 const PendingBlockPage = () => {
   const [blocks, setBlocks] = useState([])
   const [isActivated, setIsActivated] = useState(false)
   const [disabledActivate, setDisabledActivate] = useState(false)
   const [isValid, setIsValid] = useState(null)
+  const [blockHash, setBlockHash] = useState("")
   const [disabledValidate, setDisabledValidate] = useState(true)
   const [isApproved, setIsApproved] = useState(null)
+  const [flaggedRecords, setFlaggedRecords] = useState(undefined)
   const [message, setMessage] = useState("")
   const [error, setError] = useState(false)
   const [isClicked, setIsClicked] = useState(null)
@@ -99,6 +102,7 @@ const PendingBlockPage = () => {
     try {
       const { data } = await axios.get(`/api/blocks/approve/${blocks._id}`)
       setIsValid(data.isValid)
+      setBlockHash(data.hash)
     } catch (error) {
       Swal.fire({
         customClass: { container: "z-index: 2000" },
@@ -110,19 +114,51 @@ const PendingBlockPage = () => {
 
   const handleApprove = async () => {
     try {
+      const vote = await signValidatorVote(
+        blockHash,
+        isApproved,
+        flaggedRecords
+      )
       const { data } = await axios.put(`/api/blocks/approve/${blocks._id}`, {
         isApproved,
+        ...vote,
       })
       setBlocks(data.block)
       setMessage(data.message)
       setDisabledValidate(true)
       setDisabledActivate(true)
     } catch (error) {
-      setMessage(error.response.data.msg)
+      setMessage(error.response ? error.response.data.msg : error.message)
       setError(true)
     }
   }
 
+  // the records left unchecked go back to the mempool when the block is
+  // rejected, leaving every record unchecked rejects the whole block
+  const flagRecordsPopup = async () => {
+    const { value } = await Swal.fire({
+      customClass: { container: "z-index: 2000" },
+      title: "Which records caused the rejection?",
+      html: blocks.records
+        .map(
+          (record) =>
+            `<label style="display: block; text-align: left">
+              <input type="checkbox" class="flagged-record" value="${
+                record._id
+              }" />
+              ${record._id} (${record.batchId || `amount ${record.amount}`})
+            </label>`
+        )
+        .join(""),
+      confirmButtonText: "Reject",
+      preConfirm: () =>
+        Array.from(document.querySelectorAll(".flagged-record:checked")).map(
+          (input) => input.value
+        ),
+    })
+    return value && value.length > 0 ? value : undefined
+  }
+
   const validatorPopup = async () => {
     const validateResponse = await Swal.fire({
       customClass: { container: "z-index: 2000" },
@@ -150,6 +186,7 @@ const PendingBlockPage = () => {
       if (approveResponse.isConfirmed) {
         setIsApproved(true)
       } else if (approveResponse.isDenied) {
+        setFlaggedRecords(await flagRecordsPopup())
         setIsApproved(false)
       }
     }
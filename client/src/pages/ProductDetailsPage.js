@@ -23,6 +23,8 @@ import { useParams, Link } from "react-router-dom"
 import { useFetch } from "../utils/useFetch"
 import Swal from "sweetalert2"
 import Loading from "../components/Loading"
+import IdentifierLabel from "../components/IdentifierLabel"
+import { formatTimestamp } from "../utils/formatDate"
 
 const useStyles = makeStyles((theme) => ({
   root: {
@@ -64,6 +66,19 @@ const ProductDetailsPage = () => {
   const { id } = useParams()
   const [activeStep, setActiveStep] = useState(0)
   const { data, isLoading, serverError } = useFetch("/api/products/" + id)
+  const { data: catalogueData } = useFetch("/api/catalogue")
+
+  // the trace lists every upstream batch once, a blended batch has one edge
+  // for each batch it takes from
+  const getInputs = (batchId) =>
+    (data?.edges || []).filter((edge) => edge.to === batchId)
+
+  const getStageName = (batchId) => {
+    const stage = catalogueData?.catalogue.stages.find((stage) =>
+      batchId.startsWith(stage.batchPrefix)
+    )
+    return stage ? stage.role : "Batch"
+  }
 
   const handleNext = () => {
     setActiveStep((prevActiveStep) => prevActiveStep + 1)
@@ -130,6 +145,10 @@ const ProductDetailsPage = () => {
                 Product ID: {data?.product.productId}
               </Typography>
 
+              {data?.product.productId !== undefined && (
+                <IdentifierLabel id={String(data.product.productId)} />
+              )}
+
               <Typography
                 className={classes.pos}
                 color="textPrimary"
@@ -143,7 +162,7 @@ const ProductDetailsPage = () => {
                 color="textPrimary"
                 style={{ paddingTop: "10px" }}
               >
-                Timestamp: {data?.product.timestamp}
+                Timestamp: {formatTimestamp(data?.product.timestamp)}
               </Typography>
             </>
           </CardContent>
@@ -164,72 +183,19 @@ const ProductDetailsPage = () => {
                 <Stepper activeStep={activeStep} orientation="vertical">
                   {data?.record.map((record, index) => (
                     <Step key={record._id}>
-                      {index === 0 && (
-                        <StepLabel>
-                          <Typography
-                            style={{
-                              marginTop: "20px",
-                              marginLeft: "15px",
-                              fontSize: "20px",
-                              fontWeight: "bolder",
-                              color: "#000",
-                            }}
-                          >
-                            Warehouse
-                          </Typography>
-                        </StepLabel>
-                      )}
-                      {index === 1 && (
-                        <StepLabel>
-                          <StepLabel>
-                            <Typography
-                              style={{
-                                marginTop: "20px",
-                                marginLeft: "15px",
-                                fontSize: "20px",
-                                fontWeight: "bolder",
-                                color: "#000",
-                              }}
-                            >
-                              Refinery
-                            </Typography>
-                          </StepLabel>
-                        </StepLabel>
-                      )}
-                      {index === 2 && (
-                        <StepLabel>
-                          <StepLabel>
-                            <Typography
-                              style={{
-                                marginTop: "20px",
-                                marginLeft: "15px",
-                                fontSize: "20px",
-                                fontWeight: "bolder",
-                                color: "#000",
-                              }}
-                            >
-                              Milling
-                            </Typography>
-                          </StepLabel>
-                        </StepLabel>
-                      )}
-                      {index === 3 && (
-                        <StepLabel>
-                          <StepLabel>
-                            <Typography
-                              style={{
-                                marginTop: "20px",
-                                marginLeft: "15px",
-                                fontSize: "20px",
-                                fontWeight: "bolder",
-                                color: "#000",
-                              }}
-                            >
-                              Plantation
-                            </Typography>
-                          </StepLabel>
-                        </StepLabel>
-                      )}
+                      <StepLabel>
+                        <Typography
+                          style={{
+                            marginTop: "20px",
+                            marginLeft: "15px",
+                            fontSize: "20px",
+                            fontWeight: "bolder",
+                            color: "#000",
+                          }}
+                        >
+                          {getStageName(record.batchId)} {record.batchId}
+                        </Typography>
+                      </StepLabel>
                       <StepContent>
                         <TableContainer
                           style={{
@@ -371,7 +337,7 @@ const ProductDetailsPage = () => {
                                   </Typography>
                                 </TableCell>
                               </TableRow>
-                              {index !== 3 && (
+                              {getInputs(record.batchId).length > 0 && (
                                 <TableRow className={classes.table}>
                                   <TableCell className={classes.table}>
                                     <Typography
@@ -382,20 +348,27 @@ const ProductDetailsPage = () => {
                                         color: "#000",
                                       }}
                                     >
-                                      Previous Batch ID:
+                                      Input batches:
                                     </Typography>
                                   </TableCell>
                                 </TableRow>
                               )}
-                              {index !== 3 && (
+                              {getInputs(record.batchId).length > 0 && (
                                 <TableRow>
                                   <TableCell
                                     colSpan={2}
                                     style={{ wordBreak: "break-all" }}
                                   >
-                                    <Typography component="div">
-                                      {record.previousBatchId}
-                                    </Typography>
+                                    {getInputs(record.batchId).map((input) => (
+                                      <Typography
+                                        component="div"
+                                        key={input.from + input.name}
+                                      >
+                                        {input.quantity === null
+                                          ? `All of batch ${input.from}`
+                                          : `${input.quantity} ${input.name} from batch ${input.from}`}
+                                      </Typography>
+                                    ))}
                                   </TableCell>
                                 </TableRow>
                               )}
@@ -443,7 +416,7 @@ const ProductDetailsPage = () => {
                                   style={{ wordBreak: "break-all" }}
                                 >
                                   <Typography component="div">
-                                    {record.timestamp}
+                                    {formatTimestamp(record.timestamp)}
                                   </Typography>
                                 </TableCell>
                               </TableRow>
@@ -507,7 +480,7 @@ const ProductDetailsPage = () => {
                               sx={{ mt: 1, mr: 1 }}
                               style={{ marginRight: "1rem" }}
                             >
-                              {index === record.length - 1
+                              {index === data.record.length - 1
                                 ? "Finish"
                                 : "Continue"}
                             </Button>
@@ -1,17 +1,21 @@
-import React from "react"
+import React, { useEffect, useState } from "react"
 import {
   makeStyles,
   Card,
   CardContent,
   Typography,
   Grid,
+  Button,
 } from "@material-ui/core"
 import { FaUserTie } from "react-icons/fa"
 import Swal from "sweetalert2"
+import axios from "../utils/axios"
 import { useFetch } from "../utils/useFetch"
+import { saveKeystore, loadKeystore, downloadKeystore } from "../utils/keystore"
 import Loading from "../components/Loading"
 import UserRecordTable from "../components/UserRecordTable"
 import UserTransactionTable from "../components/UserTransactionTable"
+import AccountStatement from "../components/AccountStatement"
 
 const useStyles = makeStyles({
   root: {
@@ -37,6 +41,78 @@ const useStyles = makeStyles({
 const ProfilePage = () => {
   const classes = useStyles()
   const { data, isLoading, serverError } = useFetch("/api/users/profile")
+  const [hasKeystore, setHasKeystore] = useState(false)
+  const [hasStoredPrivateKey, setHasStoredPrivateKey] = useState(false)
+
+  useEffect(() => {
+    if (data) {
+      setHasKeystore(!!loadKeystore(data.user[0]?.publicKey))
+      setHasStoredPrivateKey(data.hasStoredPrivateKey)
+    }
+  }, [data])
+
+  const importKeystore = async (e, profile) => {
+    const file = e.target.files[0]
+    e.target.value = ""
+    if (!file) return
+
+    try {
+      const keystore = JSON.parse(await file.text())
+      if (keystore.publicKey !== profile.publicKey) {
+        throw new Error("This keystore does not belong to your public key")
+      }
+      saveKeystore(keystore)
+      setHasKeystore(true)
+      Swal.fire({
+        customClass: { container: "z-index: 2000" },
+        title: "Keystore imported",
+        icon: "success",
+      })
+    } catch (error) {
+      Swal.fire({
+        customClass: { container: "z-index: 2000" },
+        title:
+          error instanceof SyntaxError
+            ? "Invalid keystore file"
+            : error.message,
+        icon: "error",
+      })
+    }
+  }
+
+  // moves a private key still stored on the server into a keystore file
+  const exportKeystore = async (profile) => {
+    const { value: passphrase } = await Swal.fire({
+      customClass: { container: "z-index: 2000" },
+      title: "Choose a keystore passphrase",
+      input: "password",
+      inputPlaceholder: "At least 8 characters",
+      showCancelButton: true,
+    })
+    if (!passphrase) return
+
+    try {
+      const { data } = await axios.post("/api/users/profile/keystore", {
+        passphrase,
+      })
+      saveKeystore(data.keystore)
+      downloadKeystore(data.keystore, profile.username)
+      setHasKeystore(true)
+      setHasStoredPrivateKey(false)
+      Swal.fire({
+        customClass: { container: "z-index: 2000" },
+        title: data.msg,
+        text: "Keep the downloaded keystore file safe",
+        icon: "success",
+      })
+    } catch (error) {
+      Swal.fire({
+        customClass: { container: "z-index: 2000" },
+        title: error.response.data.msg,
+        icon: "error",
+      })
+    }
+  }
 
   if (isLoading) {
     return <Loading />
@@ -95,11 +171,45 @@ const ProfilePage = () => {
                 Private Key:
               </Typography>
               <Typography variant="body1" component="p">
-                {profile.privateKey}
+                {hasKeystore
+                  ? "Stored in an encrypted keystore on this computer"
+                  : "No keystore imported on this computer"}
               </Typography>
+              <Button
+                variant="outlined"
+                color="primary"
+                component="label"
+                style={{ marginTop: "1rem" }}
+              >
+                Import keystore
+                <input
+                  type="file"
+                  accept="application/json"
+                  hidden
+                  onChange={(e) => importKeystore(e, profile)}
+                />
+              </Button>
+              {hasStoredPrivateKey && (
+                <Button
+                  variant="outlined"
+                  color="secondary"
+                  style={{ marginTop: "1rem", marginLeft: "1rem" }}
+                  onClick={() => exportKeystore(profile)}
+                >
+                  Export key from server
+                </Button>
+              )}
             </CardContent>
           </Card>
         ))}
+        {data?.user
+          .filter((profile) => profile.role !== "Validator")
+          .map((profile) => (
+            <AccountStatement
+              publicKey={profile.publicKey}
+              key={profile.publicKey}
+            />
+          ))}
         <UserTransactionTable />
         <UserRecordTable />
       </Grid>
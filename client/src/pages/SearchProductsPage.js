@@ -24,10 +24,13 @@ const SearchProductsPage = ({ history }) => {
 
   const [productId, setProductId] = useState("")
 
-  const handleOnSubmit = async () => {
+  // handheld scanners type the scanned ID followed by Enter, which submits
+  const handleOnSubmit = async (event) => {
+    event.preventDefault()
+    const id = productId.trim()
     try {
-      await axios.get(`/api/products/${productId}`)
-      history.push(`/products/${productId}`)
+      await axios.get(`/api/products/${id}`)
+      history.push(`/products/${id}`)
     } catch (error) {
       await Swal.fire({
         customClass: { container: "z-index: 2000" },
@@ -49,31 +52,33 @@ const SearchProductsPage = ({ history }) => {
           elevation={3}
         >
           <CardContent>
-            <Grid container spacing={1}>
-              <Grid xs={11} item>
-                <TextField
-                  name="productId"
-                  label="Search product"
-                  placeholder="Enter product ID"
-                  value={productId}
-                  onChange={(e) => setProductId(e.target.value)}
-                  autoComplete="off"
-                  fullWidth
-                />
-              </Grid>
+            <form onSubmit={handleOnSubmit}>
+              <Grid container spacing={1}>
+                <Grid xs={11} item>
+                  <TextField
+                    name="productId"
+                    label="Search product"
+                    placeholder="Enter product ID"
+                    value={productId}
+                    onChange={(e) => setProductId(e.target.value)}
+                    autoComplete="off"
+                    autoFocus
+                    fullWidth
+                  />
+                </Grid>
 
-              <Grid xs={1} item>
-                <IconButton
-                  type="submit"
-                  style={{ marginTop: "5px" }}
-                  variant="outlined"
-                  color="primary"
-                  onClick={handleOnSubmit}
-                >
-                  <MdSearch />
-                </IconButton>
+                <Grid xs={1} item>
+                  <IconButton
+                    type="submit"
+                    style={{ marginTop: "5px" }}
+                    variant="outlined"
+                    color="primary"
+                  >
+                    <MdSearch />
+                  </IconButton>
+                </Grid>
               </Grid>
-            </Grid>
+            </form>
           </CardContent>
         </Card>
       </Grid>
@@ -13,6 +13,12 @@ import {
 } from "@material-ui/core"
 import Swal from "sweetalert2"
 import axios from "../utils/axios"
+import {
+  generateKeyPair,
+  encryptKeystore,
+  saveKeystore,
+  downloadKeystore,
+} from "../utils/keystore"
 import logo from "../assets/logo.png"
 
 const useStyles = makeStyles((theme) => ({
@@ -39,7 +45,7 @@ const useStyles = makeStyles((theme) => ({
   },
 }))
 
-const Keys = ({ publicKey, privateKey }) => {
+const Keys = ({ publicKey, passphrase, setPassphrase }) => {
   return (
     <div>
       <Grid align="center">
@@ -57,14 +63,16 @@ const Keys = ({ publicKey, privateKey }) => {
       </Grid>
       <Grid align="center">
         <TextField
-          id="privateKey"
-          label="Private key"
-          value={privateKey}
-          InputProps={{
-            readOnly: true,
-          }}
+          id="passphrase"
+          label="Keystore passphrase"
+          placeholder="Protects your private key"
+          type="password"
+          value={passphrase}
+          required
           variant="outlined"
+          helperText="Your private key is saved to an encrypted keystore file"
           style={{ width: "25vw", margin: "1rem 0", marginBottom: "1.5rem" }}
+          onChange={(e) => setPassphrase(e.target.value)}
         />
       </Grid>
     </div>
@@ -80,42 +88,46 @@ const SignUpPage = ({ history }) => {
   const [showKeys, setShowKeys] = useState(false)
   const [publicKey, setPublicKey] = useState("")
   const [privateKey, setPrivateKey] = useState("")
+  const [passphrase, setPassphrase] = useState("")
   const [error, setError] = useState("")
 
-  const generateKeys = async () => {
-    try {
-      const { data } = await axios.get("/api/auth/register")
-      const { publicKey, privateKey } = data
-      setShowKeys(true)
-      setPublicKey(publicKey)
-      setPrivateKey(privateKey)
-    } catch (error) {
-      setError(error.response.data.msg)
-      setTimeout(() => {
-        setError("")
-      }, 5000)
-    }
+  // keys are generated locally, the private key is never sent to the server
+  const generateKeys = () => {
+    const { publicKey, privateKey } = generateKeyPair()
+    setShowKeys(true)
+    setPublicKey(publicKey)
+    setPrivateKey(privateKey)
   }
 
   const registerUser = async (e) => {
     e.preventDefault()
 
+    if (!privateKey || passphrase.length < 8) {
+      setError("Please generate keys and enter a passphrase of 8+ characters")
+      setTimeout(() => {
+        setError("")
+      }, 5000)
+      return
+    }
+
     try {
       const { data } = await axios.post("/api/auth/register", {
         username,
         password,
         role,
         publicKey,
-        privateKey,
       })
+      const keystore = await encryptKeystore(privateKey, publicKey, passphrase)
+      saveKeystore(keystore)
+      downloadKeystore(keystore, username)
       Swal.fire({
         title: data.msg,
-        text: "Please login to proceed",
+        text: "Keep the downloaded keystore file safe, then login to proceed",
         icon: "success",
       })
       history.push("/")
     } catch (error) {
-      setError(error.response.data.msg)
+      setError(error.response ? error.response.data.msg : error.message)
       setTimeout(() => {
         setError("")
       }, 5000)
@@ -126,6 +138,7 @@ const SignUpPage = ({ history }) => {
     setRole("")
     setPublicKey("")
     setPrivateKey("")
+    setPassphrase("")
     setShowKeys("")
   }
 
@@ -205,7 +218,13 @@ const SignUpPage = ({ history }) => {
             >
               Generate keys
             </Button>
-            {showKeys && <Keys publicKey={publicKey} privateKey={privateKey} />}
+            {showKeys && (
+              <Keys
+                publicKey={publicKey}
+                passphrase={passphrase}
+                setPassphrase={setPassphrase}
+              />
+            )}
             {error && (
               <p
                 className="error"
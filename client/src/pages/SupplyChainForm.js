@@ -17,6 +17,10 @@ import * as Yup from "yup"
 import Swal from "sweetalert2"
 import axios from "../utils/axios"
 import { useRole } from "../utils/UserContext"
+import { signRecord } from "../utils/signing"
+import { unlockPrivateKey } from "../utils/keystore"
+import { HASH_VERSION } from "../utils/canonical"
+import { useFetch } from "../utils/useFetch"
 
 const useStyles = makeStyles((theme) => ({
   root: {
@@ -28,45 +32,103 @@ const useStyles = makeStyles((theme) => ({
 
 const initialValues = {
   fromAddress: "",
-  privateKey: "",
+  passphrase: "",
   toAddress: "",
   products: [{ name: "", quantity: 0 }],
-  prevBatchId: "",
+  inputs: [{ batchId: "", name: "", quantity: 0 }],
   transactionId: "",
 }
 
-const validationSchema = Yup.object({
-  fromAddress: Yup.string().required("Required"),
-  privateKey: Yup.string().required("Required"),
-  toAddress: Yup.string().required("Required"),
-  products: Yup.array(
-    Yup.object({
-      name: Yup.string().required("Required"),
-      quantity: Yup.number().required("Required"),
-    })
-  ).min(1),
-  prevBatchId: Yup.string(),
-  transactionId: Yup.string().required("Required"),
-})
+const getValidationSchema = (hasInputs) =>
+  Yup.object({
+    fromAddress: Yup.string().required("Required"),
+    passphrase: Yup.string().required("Required"),
+    toAddress: Yup.string().required("Required"),
+    products: Yup.array(
+      Yup.object({
+        name: Yup.string().required("Required"),
+        quantity: Yup.number()
+          .positive("Must be positive")
+          .required("Required"),
+      })
+    ).min(1),
+    inputs: hasInputs
+      ? Yup.array(
+          Yup.object({
+            batchId: Yup.string().required("Required"),
+            name: Yup.string().required("Required"),
+            quantity: Yup.number()
+              .positive("Must be positive")
+              .required("Required"),
+          })
+        ).min(1)
+      : Yup.array(),
+    transactionId: Yup.string().required("Required"),
+  })
 
 const SupplyChainForm = ({ history }) => {
   const classes = useStyles()
   const { role } = useRole()
+  const { data: catalogueData } = useFetch("/api/catalogue")
+
+  // the stage of the role in the catalogue lists the products it may record
+  const stage = catalogueData?.catalogue.stages.find(
+    (stage) => stage.role === role
+  )
+  const stageProducts = stage ? stage.products : []
+
+  // batches of the input stage with what remains of each of their products
+  const { data: batchData } = useFetch(
+    "/api/supply-chain/records/previousBatches"
+  )
+  const batches = batchData?.filteredPreviousBatches || []
+  const getRemainingProducts = (batchId) => {
+    const batch = batches.find((batch) => batch.batchId === batchId)
+    return batch ? batch.balance.filter(({ remaining }) => remaining > 0) : []
+  }
 
   const handleOnSubmit = async (values, { resetForm }) => {
     try {
-      await axios.post("/api/supply-chain", values)
+      const { data } = await axios.get("/api/supply-chain/records/batchId")
+      const { data: profile } = await axios.get("/api/users/profile")
+
+      // sign locally so the private key never leaves this machine
+      const { passphrase, fromAddress, toAddress, transactionId } = values
+      const record = {
+        fromAddress,
+        toAddress,
+        products: values.products.map(({ name, quantity }) => ({
+          name,
+          quantity: Number(quantity),
+        })),
+        batchId: data.batchId,
+        inputs: stage?.inputStage
+          ? values.inputs.map(({ batchId, name, quantity }) => ({
+              batchId,
+              name,
+              quantity: Number(quantity),
+            }))
+          : [],
+        transactionId,
+        timestamp: new Date().toISOString(),
+        nonce: profile.user[0].nonce + 1,
+        hashVersion: HASH_VERSION,
+      }
+      const privateKey = await unlockPrivateKey(fromAddress, passphrase)
+      record.signature = signRecord(privateKey, record)
+
+      await axios.post("/api/supply-chain", record)
       Swal.fire({
         customClass: { container: "z-index: 2000" },
         title: "Record is created!",
-        text: "You can view your supply chain record in your profile.",
+        text: "It goes to the validators once the receiver has acknowledged the handover.",
         icon: "success",
         confirmButtonText: "Broadcast",
       })
     } catch (error) {
       await Swal.fire({
         customClass: { container: "z-index: 2000" },
-        title: error.response.data.msg,
+        title: error.response ? error.response.data.msg : error.message,
         icon: "error",
       })
     }
@@ -79,7 +141,7 @@ const SupplyChainForm = ({ history }) => {
         <div className={classes.root}>
           <Formik
             initialValues={initialValues}
-            validationSchema={validationSchema}
+            validationSchema={getValidationSchema(!!stage?.inputStage)}
             onSubmit={handleOnSubmit}
           >
             <Card
@@ -108,9 +170,10 @@ const SupplyChainForm = ({ history }) => {
 
                     <Grid xs={12} item>
                       <Field
-                        name="privateKey"
-                        label="Sender's private key"
-                        placeholder="Enter private key"
+                        name="passphrase"
+                        label="Keystore passphrase"
+                        placeholder="Enter passphrase to unlock your key"
+                        type="password"
                         component={TextField}
                         fullWidth
                       ></Field>
@@ -142,77 +205,11 @@ const SupplyChainForm = ({ history }) => {
                                       label="Product Name"
                                       component={Select}
                                     >
-                                      {role === "Planter" && [
-                                        <MenuItem
-                                          value="PALM FRUITS"
-                                          key={index}
-                                        >
-                                          PALM FRUITS
-                                        </MenuItem>,
-                                        <MenuItem
-                                          value="EMPTY FRUIT BUNCH"
-                                          key={index}
-                                        >
-                                          EMPTY FRUIT BUNCH
-                                        </MenuItem>,
-                                      ]}
-
-                                      {role === "Miller" && [
-                                        <MenuItem
-                                          value="CRUDE PALM OIL"
-                                          key={"CRUDE PALM OIL " + index}
-                                        >
-                                          CRUDE PALM OIL
-                                        </MenuItem>,
-                                        <MenuItem
-                                          value="CRUDE PALM KERNEL OIL"
-                                          key={"CRUDE PALM KERNEL OIL " + index}
-                                        >
-                                          CRUDE PALM KERNEL OIL
-                                        </MenuItem>,
-                                      ]}
-
-                                      {role === "Refiner" && [
-                                        <MenuItem
-                                          value="PALM OIL"
-                                          key={"PALM OIL " + index}
-                                        >
-                                          PALM OIL
-                                        </MenuItem>,
-                                        <MenuItem
-                                          value="PALM KERNEL OIL"
-                                          key={"PALM KERNEL OIL " + index}
-                                        >
-                                          PALM KERNEL OIL
-                                        </MenuItem>,
-                                        <MenuItem
-                                          value="BIOFUEL"
-                                          key={"BIOFUEL " + index}
-                                        >
-                                          BIOFUEL
-                                        </MenuItem>,
-                                      ]}
-
-                                      {role === "WarehouseManager" && [
-                                        <MenuItem
-                                          value="PALM OIL"
-                                          key={"PALM OIL " + index}
-                                        >
-                                          PALM OIL
-                                        </MenuItem>,
-                                        <MenuItem
-                                          value="PALM KERNEL OIL"
-                                          key={"PALM KERNEL OIL " + index}
-                                        >
-                                          PALM KERNEL OIL
-                                        </MenuItem>,
-                                        <MenuItem
-                                          value="BIOFUEL"
-                                          key={"BIOFUEL " + index}
-                                        >
-                                          BIOFUEL
-                                        </MenuItem>,
-                                      ]}
+                                      {stageProducts.map((product) => (
+                                        <MenuItem value={product} key={product}>
+                                          {product}
+                                        </MenuItem>
+                                      ))}
                                     </Field>
                                   </FormControl>
                                 </Grid>
@@ -254,16 +251,90 @@ const SupplyChainForm = ({ history }) => {
                       }}
                     </FieldArray>
 
-                    {role !== "Planter" && (
-                      <Grid xs={12} item>
-                        <Field
-                          name="prevBatchId"
-                          label="Previous Batch ID"
-                          placeholder="Enter batch ID"
-                          component={TextField}
-                          fullWidth
-                        ></Field>
-                      </Grid>
+                    {stage?.inputStage && (
+                      <FieldArray name="inputs">
+                        {({ push, remove, form }) => (
+                          <>
+                            <Grid xs={12} item>
+                              <Typography style={{ marginTop: "10px" }}>
+                                Input batches
+                              </Typography>
+                            </Grid>
+                            {form.values.inputs.map((input, index) => (
+                              <Grid container item key={index} spacing={2}>
+                                <Grid xs={4} item>
+                                  <FormControl fullWidth>
+                                    <Field
+                                      name={`inputs.${index}.batchId`}
+                                      label="Batch ID"
+                                      component={Select}
+                                    >
+                                      {batches.map((batch) => (
+                                        <MenuItem
+                                          value={batch.batchId}
+                                          key={batch.batchId}
+                                        >
+                                          {batch.batchId}
+                                        </MenuItem>
+                                      ))}
+                                    </Field>
+                                  </FormControl>
+                                </Grid>
+                                <Grid xs={4} item>
+                                  <FormControl fullWidth>
+                                    <Field
+                                      name={`inputs.${index}.name`}
+                                      label="Product"
+                                      component={Select}
+                                    >
+                                      {getRemainingProducts(input.batchId).map(
+                                        ({ name, remaining }) => (
+                                          <MenuItem value={name} key={name}>
+                                            {name} ({remaining} left)
+                                          </MenuItem>
+                                        )
+                                      )}
+                                    </Field>
+                                  </FormControl>
+                                </Grid>
+                                <Grid xs={2} item>
+                                  <Field
+                                    name={`inputs.${index}.quantity`}
+                                    label="Quantity"
+                                    component={TextField}
+                                    type="number"
+                                    fullWidth
+                                  />
+                                </Grid>
+                                {index > 0 && (
+                                  <Grid item xs={1}>
+                                    <IconButton
+                                      variant="contained"
+                                      onClick={() => remove(index)}
+                                    >
+                                      <MdDelete />
+                                    </IconButton>
+                                  </Grid>
+                                )}
+                                <Grid item xs={1}>
+                                  <IconButton
+                                    variant="contained"
+                                    onClick={() =>
+                                      push({
+                                        batchId: "",
+                                        name: "",
+                                        quantity: 0,
+                                      })
+                                    }
+                                  >
+                                    <MdAddCircleOutline />
+                                  </IconButton>
+                                </Grid>
+                              </Grid>
+                            ))}
+                          </>
+                        )}
+                      </FieldArray>
                     )}
 
                     <Grid xs={12} item>
@@ -12,6 +12,9 @@ import { TextField } from "formik-material-ui"
 import * as Yup from "yup"
 import Swal from "sweetalert2"
 import axios from "../utils/axios"
+import { signTransaction } from "../utils/signing"
+import { unlockPrivateKey } from "../utils/keystore"
+import { HASH_VERSION } from "../utils/canonical"
 
 const useStyles = makeStyles((theme) => ({
   root: {
@@ -23,16 +26,16 @@ const useStyles = makeStyles((theme) => ({
 
 const initialValues = {
   fromAddress: "",
-  privateKey: "",
+  passphrase: "",
   toAddress: "",
   amount: "",
 }
 
 const validationSchema = Yup.object({
   fromAddress: Yup.string().required("Required"),
-  privateKey: Yup.string().required("Required"),
+  passphrase: Yup.string().required("Required"),
   toAddress: Yup.string().required("Required"),
-  amount: Yup.number().required("Required"),
+  amount: Yup.number().positive("Must be positive").required("Required"),
 })
 
 const TransactionForm = ({ history }) => {
@@ -40,7 +43,23 @@ const TransactionForm = ({ history }) => {
 
   const handleOnSubmit = async (values, { resetForm }) => {
     try {
-      await axios.post("/api/transactions", values)
+      // sign locally so the private key never leaves this machine
+      const { passphrase, fromAddress, toAddress } = values
+      const { data } = await axios.get("/api/users/profile")
+      const transaction = {
+        fromAddress,
+        toAddress,
+        amount: Number(values.amount),
+        timestamp: new Date().toISOString(),
+        // the next nonce of the account, a signed transaction can only be
+        // submitted once
+        nonce: data.user[0].nonce + 1,
+        hashVersion: HASH_VERSION,
+      }
+      const privateKey = await unlockPrivateKey(fromAddress, passphrase)
+      transaction.signature = signTransaction(privateKey, transaction)
+
+      await axios.post("/api/transactions", transaction)
       Swal.fire({
         customClass: { container: "z-index: 2000" },
         title: "Transaction Completed!",
@@ -51,7 +70,7 @@ const TransactionForm = ({ history }) => {
     } catch (error) {
       Swal.fire({
         customClass: { container: "z-index: 2000" },
-        title: error.response.data.msg,
+        title: error.response ? error.response.data.msg : error.message,
         icon: "error",
       })
     }
@@ -93,9 +112,10 @@ const TransactionForm = ({ history }) => {
 
                     <Grid xs={12} item>
                       <Field
-                        name="privateKey"
-                        label="Sender's private key"
-                        placeholder="Enter private key"
+                        name="passphrase"
+                        label="Keystore passphrase"
+                        placeholder="Enter passphrase to unlock your key"
+                        type="password"
                         component={TextField}
                         fullWidth
                       ></Field>
@@ -0,0 +1,74 @@
+// Code 39 barcodes, read by every handheld scanner and enough for identifiers
+// made of capital letters and digits. Each character is drawn as 5 bars and
+// the 4 spaces between them, "w" elements are wide and "n" elements narrow.
+const CODE39 = {
+  0: "nnnwwnwnn",
+  1: "wnnwnnnnw",
+  2: "nnwwnnnnw",
+  3: "wnwwnnnnn",
+  4: "nnnwwnnnw",
+  5: "wnnwwnnnn",
+  6: "nnwwwnnnn",
+  7: "nnnwnnwnw",
+  8: "wnnwnnwnn",
+  9: "nnwwnnwnn",
+  A: "wnnnnwnnw",
+  B: "nnwnnwnnw",
+  C: "wnwnnwnnn",
+  D: "nnnnwwnnw",
+  E: "wnnnwwnnn",
+  F: "nnwnwwnnn",
+  G: "nnnnnwwnw",
+  H: "wnnnnwwnn",
+  I: "nnwnnwwnn",
+  J: "nnnnwwwnn",
+  K: "wnnnnnnww",
+  L: "nnwnnnnww",
+  M: "wnwnnnnwn",
+  N: "nnnnwnnww",
+  O: "wnnnwnnwn",
+  P: "nnwnwnnwn",
+  Q: "nnnnnnwww",
+  R: "wnnnnnwwn",
+  S: "nnwnnnwwn",
+  T: "nnnnwnwwn",
+  U: "wwnnnnnnw",
+  V: "nwwnnnnnw",
+  W: "wwwnnnnnn",
+  X: "nwnnwnnnw",
+  Y: "wwnnwnnnn",
+  Z: "nwwnwnnnn",
+  "-": "nwnnnnwnw",
+  ".": "wwnnnnwnn",
+  " ": "nwwnnnwnn",
+  "*": "nwnnwnwnn",
+}
+
+const NARROW = 1
+const WIDE = 3
+
+// Bars of the barcode of the text as { x, width } in narrow bar units,
+// together with the total width
+export const encodeCode39 = (text) => {
+  const characters = `*${String(text).toUpperCase()}*`
+  const bars = []
+  let x = 0
+
+  for (const character of characters) {
+    const pattern = CODE39[character]
+    if (!pattern) {
+      throw new Error(`${character} can not be encoded in a Code 39 barcode`)
+    }
+
+    pattern.split("").forEach((element, index) => {
+      const width = element === "w" ? WIDE : NARROW
+      if (index % 2 === 0) {
+        bars.push({ x, width })
+      }
+      x += width
+    })
+    // narrow gap between characters
+    x += NARROW
+  }
+  return { bars, width: x - NARROW }
+}
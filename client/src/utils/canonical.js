@@ -0,0 +1,47 @@
+// Must stay in sync with server/utils/canonical.js
+export const HASH_VERSION = 4
+
+export const canonicalize = (value) => {
+  if (value === null || value === undefined) {
+    return "null"
+  }
+
+  if (typeof value === "number") {
+    if (!Number.isFinite(value)) {
+      throw new Error(`Cannot canonicalize the number ${value}`)
+    }
+    return JSON.stringify(value)
+  }
+
+  if (typeof value === "string" || typeof value === "boolean") {
+    return JSON.stringify(value)
+  }
+
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) {
+      throw new Error("Cannot canonicalize an invalid date")
+    }
+    return JSON.stringify(value.toISOString())
+  }
+
+  if (Array.isArray(value)) {
+    return "[" + value.map((item) => canonicalize(item)).join(",") + "]"
+  }
+
+  if (typeof value === "object") {
+    const prototype = Object.getPrototypeOf(value)
+    if (prototype !== Object.prototype && prototype !== null) {
+      throw new Error(
+        `Cannot canonicalize an instance of ${value.constructor.name}`
+      )
+    }
+
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => JSON.stringify(key) + ":" + canonicalize(value[key]))
+    return "{" + entries.join(",") + "}"
+  }
+
+  throw new Error(`Cannot canonicalize a value of type ${typeof value}`)
+}
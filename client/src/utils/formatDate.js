@@ -0,0 +1,14 @@
+// Timestamps are sent as ISO-8601 strings and shown in the local time of the
+// user. Records embedded in blocks sealed before the date migration still
+// carry their original "dd/mm/yyyy, hh:mm:ss" string, shown as it is.
+export const formatTimestamp = (timestamp) => {
+  if (!timestamp) {
+    return ""
+  }
+
+  if (/^\d{2}\/\d{2}\/\d{4}, /.test(timestamp)) {
+    return timestamp
+  }
+
+  return new Date(timestamp).toLocaleString("en-GB")
+}
@@ -0,0 +1,134 @@
+import { ec as EC } from "elliptic"
+
+const ec = new EC("secp256k1")
+
+// Must stay in sync with server/utils/keystore.js
+const KEYSTORE_VERSION = 1
+const KDF_ITERATIONS = 262144
+const KEY_LENGTH = 32
+const STORAGE_PREFIX = "keystore-"
+
+const toHex = (bytes) =>
+  Array.from(new Uint8Array(bytes))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("")
+
+const fromHex = (hex) =>
+  new Uint8Array(hex.match(/.{1,2}/g).map((byte) => parseInt(byte, 16)))
+
+const deriveKey = async (passphrase, salt, iterations) => {
+  const baseKey = await window.crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  )
+
+  return window.crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    baseKey,
+    { name: "AES-GCM", length: KEY_LENGTH * 8 },
+    false,
+    ["encrypt", "decrypt"]
+  )
+}
+
+export const generateKeyPair = () => {
+  const key = ec.genKeyPair()
+  return {
+    publicKey: key.getPublic("hex"),
+    privateKey: key.getPrivate("hex").padStart(64, "0"),
+  }
+}
+
+export const encryptKeystore = async (privateKey, publicKey, passphrase) => {
+  const salt = window.crypto.getRandomValues(new Uint8Array(32))
+  const iv = window.crypto.getRandomValues(new Uint8Array(12))
+  const derivedKey = await deriveKey(passphrase, salt, KDF_ITERATIONS)
+
+  // WebCrypto appends the GCM authentication tag to the ciphertext
+  const ciphertext = await window.crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    derivedKey,
+    fromHex(privateKey.padStart(64, "0"))
+  )
+
+  return {
+    version: KEYSTORE_VERSION,
+    id: window.crypto.randomUUID(),
+    publicKey,
+    crypto: {
+      cipher: "aes-256-gcm",
+      ciphertext: toHex(ciphertext),
+      cipherparams: { iv: toHex(iv) },
+      kdf: "pbkdf2",
+      kdfparams: {
+        c: KDF_ITERATIONS,
+        dklen: KEY_LENGTH,
+        prf: "hmac-sha256",
+        salt: toHex(salt),
+      },
+    },
+  }
+}
+
+export const decryptKeystore = async (keystore, passphrase) => {
+  if (keystore?.version !== KEYSTORE_VERSION || !keystore.crypto) {
+    throw new Error("Unsupported keystore file")
+  }
+
+  const { ciphertext, cipherparams, kdfparams } = keystore.crypto
+  const derivedKey = await deriveKey(
+    passphrase,
+    fromHex(kdfparams.salt),
+    kdfparams.c
+  )
+
+  let privateKey
+  try {
+    privateKey = await window.crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: fromHex(cipherparams.iv) },
+      derivedKey,
+      fromHex(ciphertext)
+    )
+  } catch (error) {
+    throw new Error("Wrong keystore passphrase")
+  }
+
+  return toHex(privateKey)
+}
+
+export const saveKeystore = (keystore) => {
+  localStorage.setItem(
+    STORAGE_PREFIX + keystore.publicKey,
+    JSON.stringify(keystore)
+  )
+}
+
+export const loadKeystore = (publicKey) => {
+  const keystore = localStorage.getItem(STORAGE_PREFIX + publicKey)
+  return keystore ? JSON.parse(keystore) : null
+}
+
+export const downloadKeystore = (keystore, username) => {
+  const blob = new Blob([JSON.stringify(keystore, null, 2)], {
+    type: "application/json",
+  })
+  const link = document.createElement("a")
+  link.href = URL.createObjectURL(blob)
+  link.download = `${username}-keystore.json`
+  link.click()
+  URL.revokeObjectURL(link.href)
+}
+
+// Decrypts the imported keystore of the given address for signing
+export const unlockPrivateKey = async (publicKey, passphrase) => {
+  const keystore = loadKeystore(publicKey)
+  if (!keystore) {
+    throw new Error(
+      "No keystore for this sender address, please import it in your profile"
+    )
+  }
+  return decryptKeystore(keystore, passphrase)
+}
@@ -0,0 +1,166 @@
+import { ec as EC } from "elliptic"
+import hash from "hash.js"
+import { HASH_VERSION, canonicalize } from "./canonical"
+
+const ec = new EC("secp256k1")
+
+// Must stay in sync with computeTransactionHash on the server
+export const computeTransactionHash = (
+  fromAddress,
+  toAddress,
+  amount,
+  timestamp,
+  nonce
+) => {
+  return hash
+    .sha256()
+    .update(
+      canonicalize({
+        fromAddress,
+        toAddress,
+        amount: Number(amount),
+        timestamp,
+        nonce,
+        hashVersion: HASH_VERSION,
+      })
+    )
+    .digest("hex")
+}
+
+// Must stay in sync with computeRecordHash on the server
+export const computeRecordHash = (
+  fromAddress,
+  toAddress,
+  products,
+  batchId,
+  inputs,
+  transactionReceipt,
+  timestamp,
+  nonce
+) => {
+  return hash
+    .sha256()
+    .update(
+      canonicalize({
+        fromAddress,
+        toAddress,
+        products: products.map(({ name, quantity }) => ({
+          name,
+          quantity: Number(quantity),
+        })),
+        batchId,
+        // records taking input batches name no single previous batch
+        prevBatchId: "",
+        inputs: inputs.map(({ batchId, name, quantity }) => ({
+          batchId,
+          name,
+          quantity: Number(quantity),
+        })),
+        transactionReceipt: transactionReceipt.toString(),
+        timestamp,
+        nonce,
+        hashVersion: HASH_VERSION,
+      })
+    )
+    .digest("hex")
+}
+
+const signHash = (privateKey, fromAddress, hashHex) => {
+  const signingKey = ec.keyFromPrivate(privateKey)
+
+  if (signingKey.getPublic("hex") !== fromAddress) {
+    throw new Error("Private and Public key do not match!")
+  }
+
+  const sign = signingKey.sign(hashHex, "base64")
+  return sign.toDER("hex")
+}
+
+export const signTransaction = (privateKey, transaction) => {
+  const { fromAddress, toAddress, amount, timestamp, nonce } = transaction
+
+  return signHash(
+    privateKey,
+    fromAddress,
+    computeTransactionHash(fromAddress, toAddress, amount, timestamp, nonce)
+  )
+}
+
+export const signRecord = (privateKey, record) => {
+  const {
+    fromAddress,
+    toAddress,
+    products,
+    batchId,
+    inputs,
+    transactionId,
+    timestamp,
+    nonce,
+  } = record
+
+  return signHash(
+    privateKey,
+    fromAddress,
+    computeRecordHash(
+      fromAddress,
+      toAddress,
+      products,
+      batchId,
+      inputs,
+      transactionId,
+      timestamp,
+      nonce
+    )
+  )
+}
+
+// Must stay in sync with computeVoteHash on the server
+export const computeVoteHash = (
+  itemHash,
+  decision,
+  timestamp,
+  flaggedRecords
+) => {
+  return hash
+    .sha256()
+    .update(canonicalize({ itemHash, decision, timestamp, flaggedRecords }))
+    .digest("hex")
+}
+
+export const signVote = (privateKey, publicKey, itemHash, vote) => {
+  const { decision, timestamp, flaggedRecords } = vote
+
+  return signHash(
+    privateKey,
+    publicKey,
+    computeVoteHash(itemHash, decision, timestamp, flaggedRecords)
+  )
+}
+
+// Must stay in sync with computeAcknowledgementHash on the server
+export const computeAcknowledgementHash = (
+  recordHash,
+  receivedProducts,
+  notes,
+  timestamp
+) => {
+  return hash
+    .sha256()
+    .update(canonicalize({ recordHash, receivedProducts, notes, timestamp }))
+    .digest("hex")
+}
+
+export const signAcknowledgement = (
+  privateKey,
+  publicKey,
+  recordHash,
+  acknowledgement
+) => {
+  const { receivedProducts, notes, timestamp } = acknowledgement
+
+  return signHash(
+    privateKey,
+    publicKey,
+    computeAcknowledgementHash(recordHash, receivedProducts, notes, timestamp)
+  )
+}
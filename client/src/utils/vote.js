@@ -0,0 +1,38 @@
+import Swal from "sweetalert2"
+import axios from "./axios"
+import { unlockPrivateKey } from "./keystore"
+import { signVote } from "./signing"
+
+// Asks the validator for the keystore passphrase and signs their decision on
+// the item hash returned by the validate endpoint, a rejection of a block can
+// also sign the ids of the records that caused it
+export const signValidatorVote = async (
+  itemHash,
+  isApproved,
+  flaggedRecords
+) => {
+  const { data } = await axios.get("/api/users/profile")
+  const { publicKey } = data.user[0]
+
+  const { value: passphrase, isConfirmed } = await Swal.fire({
+    customClass: { container: "z-index: 2000" },
+    title: "Sign your vote",
+    text: "Enter the passphrase of your keystore",
+    input: "password",
+    inputAttributes: { autocomplete: "current-password" },
+    showCancelButton: true,
+    confirmButtonText: "Sign",
+  })
+  if (!isConfirmed) {
+    throw new Error("Vote was not signed")
+  }
+
+  const privateKey = await unlockPrivateKey(publicKey, passphrase)
+  const vote = {
+    decision: isApproved ? "approve" : "reject",
+    timestamp: new Date().toISOString(),
+    flaggedRecords,
+  }
+  const signature = signVote(privateKey, publicKey, itemHash, vote)
+  return { timestamp: vote.timestamp, signature, flaggedRecords }
+}
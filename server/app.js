@@ -19,6 +19,25 @@ const supplychainRouter = require("./routes/supplyChainRoutes")
 const productRouter = require("./routes/productRoutes")
 const userRouter = require("./routes/userRoutes")
 const dashboardRouter = require("./routes/dashboardRoutes")
+const peerRouter = require("./routes/peerRoutes")
+const mempoolRouter = require("./routes/mempoolRoutes")
+const auditRouter = require("./routes/auditRoutes")
+const catalogueRouter = require("./routes/catalogueRoutes")
+
+// chain
+const { BLOCK_SEAL_INTERVAL_SECONDS } = require("./config/chain")
+const { sealInactiveBlocks } = require("./controllers/blockController")
+const { fillHibernatingBlocks } = require("./utils/mempool")
+const { assertReplicaSet } = require("./utils/atomic")
+const { loadGenesis } = require("./utils/genesis")
+
+// replication
+const { PEERS, PEER_SYNC_INTERVAL_SECONDS } = require("./config/peers")
+const { syncWithPeers } = require("./controllers/peerController")
+
+// integrity audit
+const { AUDIT_INTERVAL_MINUTES } = require("./config/audit")
+const { runAudit } = require("./controllers/auditController")
 
 // middleware
 const errorHandlerMiddleware = require("./middleware/error-handler")
@@ -34,6 +53,10 @@ app.use("/api/supply-chain", supplychainRouter)
 app.use("/api/products", productRouter)
 app.use("/api/users", userRouter)
 app.use("/api/dashboard", dashboardRouter)
+app.use("/api/peers", peerRouter)
+app.use("/api/mempool", mempoolRouter)
+app.use("/api/audits", auditRouter)
+app.use("/api/catalogue", catalogueRouter)
 
 app.use(notFoundMiddleware)
 app.use(errorHandlerMiddleware)
@@ -43,9 +66,44 @@ const start = async () => {
   try {
     await mongoose.connect(process.env.MONGO_URI)
     console.log("Connected to database...")
+    await assertReplicaSet()
+    // catch up before serving requests, so a new node adopts the chain of its
+    // peers instead of being bootstrapped with its own genesis block
+    await syncWithPeers()
+    if (!(await loadGenesis())) {
+      console.log(
+        "No genesis block, run npm run bootstrap to initialise the network or add PEERS to join one"
+      )
+    }
     app.listen(port, () => {
       console.log(`Server is listening on port ${port}...`)
     })
+    setInterval(async () => {
+      try {
+        await fillHibernatingBlocks()
+        const sealedBlock = await sealInactiveBlocks()
+        if (sealedBlock) {
+          console.log("Sealed inactive hibernating block", sealedBlock._id)
+        }
+      } catch (error) {
+        console.log(error)
+      }
+    }, BLOCK_SEAL_INTERVAL_SECONDS * 1000)
+    if (PEERS.length > 0) {
+      setInterval(syncWithPeers, PEER_SYNC_INTERVAL_SECONDS * 1000)
+    }
+    if (AUDIT_INTERVAL_MINUTES > 0) {
+      setInterval(async () => {
+        try {
+          const audit = await runAudit()
+          if (audit && audit.error) {
+            console.log("Integrity audit failed:", audit.error)
+          }
+        } catch (error) {
+          console.log(error)
+        }
+      }, AUDIT_INTERVAL_MINUTES * 60 * 1000)
+    }
   } catch (error) {
     console.log(error)
   }
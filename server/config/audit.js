@@ -0,0 +1,13 @@
+// Settings of the background integrity auditor
+
+// How often the whole chain is revalidated and compared with the stored
+// transactions and supply-chain records, 0 disables the auditor
+const AUDIT_INTERVAL_MINUTES =
+  process.env.AUDIT_INTERVAL_MINUTES === "0"
+    ? 0
+    : parseFloat(process.env.AUDIT_INTERVAL_MINUTES) || 60
+
+// Number of past audits returned with the audit status
+const AUDIT_HISTORY_SIZE = parseInt(process.env.AUDIT_HISTORY_SIZE) || 10
+
+module.exports = { AUDIT_INTERVAL_MINUTES, AUDIT_HISTORY_SIZE }
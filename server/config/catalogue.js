@@ -0,0 +1,75 @@
+// Commodity catalogue used for a genesis block that does not define its own:
+// the products every supply chain stage can record, the stage whose batches
+// it takes as input, the stage whose approved records create the products
+// sold to consumers and the expected yield of every product from the input of
+// its stage. Yields are mass ratios, record quantities are in the same unit.
+
+const DEFAULT_CATALOGUE = {
+  products: [
+    "PALM FRUITS",
+    "EMPTY FRUIT BUNCH",
+    "CRUDE PALM OIL",
+    "CRUDE PALM KERNEL OIL",
+    "PALM OIL",
+    "PALM KERNEL OIL",
+    "BIOFUEL",
+  ],
+  stages: [
+    {
+      role: "Planter",
+      batchPrefix: "PL",
+      products: ["PALM FRUITS", "EMPTY FRUIT BUNCH"],
+      inputStage: null,
+      createsProducts: false,
+      conversions: [],
+    },
+    {
+      role: "Miller",
+      batchPrefix: "MI",
+      products: ["CRUDE PALM OIL", "CRUDE PALM KERNEL OIL"],
+      inputStage: "Planter",
+      createsProducts: false,
+      conversions: [
+        { from: "PALM FRUITS", to: "CRUDE PALM OIL", ratio: 0.2 },
+        { from: "PALM FRUITS", to: "CRUDE PALM KERNEL OIL", ratio: 0.025 },
+      ],
+      yieldTolerance: 0.15,
+    },
+    {
+      role: "Refiner",
+      batchPrefix: "RE",
+      products: ["PALM OIL", "PALM KERNEL OIL", "BIOFUEL"],
+      inputStage: "Miller",
+      createsProducts: false,
+      conversions: [
+        { from: "CRUDE PALM OIL", to: "PALM OIL", ratio: 0.9 },
+        { from: "CRUDE PALM KERNEL OIL", to: "PALM KERNEL OIL", ratio: 0.9 },
+        { from: "CRUDE PALM OIL", to: "BIOFUEL", ratio: 0.9 },
+      ],
+      yieldTolerance: 0.1,
+    },
+    {
+      role: "WarehouseManager",
+      batchPrefix: "WA",
+      products: ["PALM OIL", "PALM KERNEL OIL", "BIOFUEL"],
+      inputStage: "Refiner",
+      createsProducts: true,
+      conversions: [
+        { from: "PALM OIL", to: "PALM OIL", ratio: 1 },
+        { from: "PALM KERNEL OIL", to: "PALM KERNEL OIL", ratio: 1 },
+        { from: "BIOFUEL", to: "BIOFUEL", ratio: 1 },
+      ],
+      yieldTolerance: 0.02,
+    },
+    {
+      role: "Retailer",
+      batchPrefix: "RT",
+      products: [],
+      inputStage: "WarehouseManager",
+      createsProducts: false,
+      conversions: [],
+    },
+  ],
+}
+
+module.exports = { DEFAULT_CATALOGUE }
@@ -0,0 +1,19 @@
+// Chain wide settings, each one can be overridden through the environment
+
+// Maximum number of transactions and supply-chain records in a block
+const MAX_BLOCK_SIZE = parseInt(process.env.MAX_BLOCK_SIZE) || 2
+
+// A partially filled hibernating block is sealed and moved to Pending when no
+// record has been added to it for this many minutes
+const MAX_BLOCK_WAIT_MINUTES =
+  parseFloat(process.env.MAX_BLOCK_WAIT_MINUTES) || 30
+
+// How often the server looks for hibernating blocks to seal
+const BLOCK_SEAL_INTERVAL_SECONDS =
+  parseInt(process.env.BLOCK_SEAL_INTERVAL_SECONDS) || 60
+
+module.exports = {
+  MAX_BLOCK_SIZE,
+  MAX_BLOCK_WAIT_MINUTES,
+  BLOCK_SEAL_INTERVAL_SECONDS,
+}
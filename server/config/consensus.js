@@ -0,0 +1,28 @@
+// Consensus settings, see consensus/index.js for the available strategies
+
+// "percentage", "count", "weighted" or "roundRobin"
+const CONSENSUS_STRATEGY = process.env.CONSENSUS_STRATEGY || "percentage"
+
+// Share of the validators (or of their total weight) needed to decide
+const CONSENSUS_THRESHOLD = parseFloat(process.env.CONSENSUS_THRESHOLD) || 0.66
+
+// Number of validators needed to decide with the "count" strategy
+const CONSENSUS_QUORUM = parseInt(process.env.CONSENSUS_QUORUM) || 2
+
+// Voting weight per validator username, e.g. "mill:3,refinery:2", validators
+// that are not listed have a weight of 1
+const VALIDATOR_WEIGHTS = (process.env.VALIDATOR_WEIGHTS || "")
+  .split(",")
+  .filter((entry) => entry.includes(":"))
+  .reduce((weights, entry) => {
+    const [username, weight] = entry.split(":")
+    weights[username.trim()] = parseFloat(weight) || 0
+    return weights
+  }, {})
+
+module.exports = {
+  CONSENSUS_STRATEGY,
+  CONSENSUS_THRESHOLD,
+  CONSENSUS_QUORUM,
+  VALIDATOR_WEIGHTS,
+}
@@ -0,0 +1,9 @@
+// Settings of the batch and product identifiers, see utils/identifiers.js
+
+// Whether new identifiers end with a Luhn check digit, which lets a scanner or
+// a person typing an identifier detect a misread digit. Choose once per
+// network: an identifier issued with a check digit can equal a later sequence
+// number issued without one.
+const ID_CHECK_DIGITS = process.env.ID_CHECK_DIGITS !== "false"
+
+module.exports = { ID_CHECK_DIGITS }
@@ -0,0 +1,38 @@
+// Replication settings, every organisation runs its own node and lists the
+// nodes of the other organisations in PEERS
+
+// Base URLs of the other nodes, e.g. "http://localhost:3002,http://mill:3001"
+const PEERS = (process.env.PEERS || "")
+  .split(",")
+  .map((peer) => peer.trim().replace(/\/+$/, ""))
+  .filter((peer) => peer !== "")
+
+// Base URL under which the other nodes reach this one
+const NODE_URL = (process.env.NODE_URL || "").replace(/\/+$/, "")
+
+// Shared secret sent in the x-peer-token header between nodes
+const PEER_SECRET = process.env.PEER_SECRET || ""
+
+// Genesis configuration of the network (see config/genesis.example.json), a
+// node without a chain only adopts a chain from its peers that starts with it
+const GENESIS_FILE = process.env.GENESIS_FILE || ""
+
+// How often the node asks its peers for blocks it has missed
+const PEER_SYNC_INTERVAL_SECONDS =
+  parseInt(process.env.PEER_SYNC_INTERVAL_SECONDS) || 30
+
+// Maximum number of blocks returned to a peer in one request
+const PEER_SYNC_BATCH_SIZE = parseInt(process.env.PEER_SYNC_BATCH_SIZE) || 50
+
+const PEER_REQUEST_TIMEOUT_MS =
+  parseInt(process.env.PEER_REQUEST_TIMEOUT_MS) || 5000
+
+module.exports = {
+  PEERS,
+  NODE_URL,
+  PEER_SECRET,
+  GENESIS_FILE,
+  PEER_SYNC_INTERVAL_SECONDS,
+  PEER_SYNC_BATCH_SIZE,
+  PEER_REQUEST_TIMEOUT_MS,
+}
@@ -0,0 +1,19 @@
+const { countVotes } = require("./votes")
+
+// Decided once a fixed number of validators agrees, however many there are
+function decide({ approvedBy, rejectedBy, validators }, { quorum }) {
+  const { approvals, rejections } = countVotes(
+    approvedBy,
+    rejectedBy,
+    validators
+  )
+  if (approvals >= quorum) {
+    return "Approved"
+  }
+  if (rejections >= quorum) {
+    return "Rejected"
+  }
+  return null
+}
+
+module.exports = { name: "count", decide }
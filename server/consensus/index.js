@@ -0,0 +1,56 @@
+const {
+  CONSENSUS_STRATEGY,
+  CONSENSUS_THRESHOLD,
+  CONSENSUS_QUORUM,
+  VALIDATOR_WEIGHTS,
+} = require("../config/consensus")
+
+const strategies = {
+  percentage: require("./percentage"),
+  count: require("./count"),
+  weighted: require("./weighted"),
+  roundRobin: require("./roundRobin"),
+}
+
+// Consensus parameters, read from the environment until the parameters of the
+// genesis block are applied with configureConsensus
+const settings = {}
+
+function configureConsensus({ strategy, threshold, quorum, weights }) {
+  if (!strategies[strategy]) {
+    throw new Error(
+      `Unknown consensus strategy "${strategy}", use one of ${Object.keys(
+        strategies
+      ).join(", ")}`
+    )
+  }
+  Object.assign(settings, { strategy, threshold, quorum, weights })
+}
+
+function getConsensusSettings() {
+  return { ...settings }
+}
+
+configureConsensus({
+  strategy: CONSENSUS_STRATEGY,
+  threshold: CONSENSUS_THRESHOLD,
+  quorum: CONSENSUS_QUORUM,
+  weights: VALIDATOR_WEIGHTS,
+})
+
+// Returns "Approved", "Rejected" or null while no decision has been reached.
+// The tally holds the usernames in approvedBy and rejectedBy, the current
+// validators and, for blocks, the round (height) being sealed.
+function decide(tally) {
+  return strategies[settings.strategy].decide(
+    { approvedBy: [], rejectedBy: [], ...tally },
+    settings
+  )
+}
+
+module.exports = {
+  strategies: Object.keys(strategies),
+  configureConsensus,
+  getConsensusSettings,
+  decide,
+}
@@ -0,0 +1,27 @@
+const { countVotes } = require("./votes")
+
+// Decided once a fixed share of all validators agrees
+function decide(
+  { approvedBy, rejectedBy, validators, validatorCount },
+  { threshold }
+) {
+  const total = validatorCount || validators.length
+  if (total === 0) {
+    return null
+  }
+
+  const { approvals, rejections } = countVotes(
+    approvedBy,
+    rejectedBy,
+    validators
+  )
+  if (approvals / parseFloat(total) >= threshold) {
+    return "Approved"
+  }
+  if (rejections / parseFloat(total) >= threshold) {
+    return "Rejected"
+  }
+  return null
+}
+
+module.exports = { name: "percentage", decide }
@@ -0,0 +1,36 @@
+const { countVotes } = require("./votes")
+
+// Validators take turns, ordered by username, to seal blocks
+function getSealer(validators, round) {
+  const authorities = validators.map((validator) => validator.username).sort()
+  return authorities[round % authorities.length]
+}
+
+// Proof of authority: a block is decided by the vote of the validator whose
+// turn it is to seal the given round (the height of the block). Transactions
+// and records, which have no round, are decided by the first validator vote.
+function decide({ approvedBy, rejectedBy, validators, round }) {
+  if (validators.length === 0) {
+    return null
+  }
+
+  if (round === undefined) {
+    const { approvals, rejections } = countVotes(
+      approvedBy,
+      rejectedBy,
+      validators
+    )
+    if (approvals > 0) {
+      return "Approved"
+    }
+    return rejections > 0 ? "Rejected" : null
+  }
+
+  const sealer = getSealer(validators, round)
+  if (approvedBy.includes(sealer)) {
+    return "Approved"
+  }
+  return rejectedBy.includes(sealer) ? "Rejected" : null
+}
+
+module.exports = { name: "roundRobin", decide, getSealer }
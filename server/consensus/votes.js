@@ -0,0 +1,12 @@
+// Only votes of users that are currently validators are counted
+function countVotes(approvedBy, rejectedBy, validators) {
+  const usernames = validators.map((validator) => validator.username)
+  return {
+    approvals: usernames.filter((username) => approvedBy.includes(username))
+      .length,
+    rejections: usernames.filter((username) => rejectedBy.includes(username))
+      .length,
+  }
+}
+
+module.exports = { countVotes }
@@ -0,0 +1,41 @@
+function getWeight(weights, username) {
+  return username in weights ? weights[username] : 1
+}
+
+function sumWeights(weights, usernames) {
+  return usernames.reduce(
+    (total, username) => total + getWeight(weights, username),
+    0
+  )
+}
+
+// Decided once the validators that agree hold a fixed share of the total
+// voting weight
+function decide(
+  { approvedBy, rejectedBy, validators },
+  { threshold, weights }
+) {
+  const usernames = validators.map((validator) => validator.username)
+  const totalWeight = sumWeights(weights, usernames)
+  if (totalWeight <= 0) {
+    return null
+  }
+
+  const approvedWeight = sumWeights(
+    weights,
+    usernames.filter((username) => approvedBy.includes(username))
+  )
+  const rejectedWeight = sumWeights(
+    weights,
+    usernames.filter((username) => rejectedBy.includes(username))
+  )
+  if (approvedWeight / totalWeight >= threshold) {
+    return "Approved"
+  }
+  if (rejectedWeight / totalWeight >= threshold) {
+    return "Rejected"
+  }
+  return null
+}
+
+module.exports = { name: "weighted", decide }
@@ -0,0 +1,198 @@
+const AuditModel = require("../models/audit")
+const AlertModel = require("../models/alert")
+const BlockModel = require("../models/block")
+const TransactionModel = require("../models/transaction")
+const SupplyChainModel = require("../models/supplychain")
+const { BadRequestError } = require("../errors")
+const { canonicalize } = require("../utils/canonical")
+const { checkBlockchain, toCanonicalRecord } = require("./blockController")
+const { AUDIT_HISTORY_SIZE } = require("../config/audit")
+
+let isAuditRunning = false
+
+// Last audits and the alerts still open
+const getAuditStatus = async (req, res) => {
+  const audits = await AuditModel.find()
+    .sort({ startedAt: -1 })
+    .limit(AUDIT_HISTORY_SIZE)
+  const alerts = await AlertModel.find({ status: "Open" }).sort({
+    raisedAt: -1,
+  })
+
+  res.status(200).json({ lastAudit: audits[0] || null, audits, alerts })
+}
+
+const startAudit = async (req, res) => {
+  const audit = await runAudit()
+  if (!audit) {
+    throw new BadRequestError("An audit is already running")
+  }
+  res.status(201).json({ msg: "Audit completed", audit })
+}
+
+// Revalidates the whole chain and compares every inChain transaction and
+// supply-chain record with the copy embedded in its block. Every run is kept
+// in the audit log and alerts are raised for the problems found. Returns null
+// when an audit is already running.
+async function runAudit() {
+  if (isAuditRunning) {
+    return null
+  }
+  isAuditRunning = true
+
+  const audit = new AuditModel({ startedAt: new Date() })
+  try {
+    const report = await checkBlockchain(true)
+    const blocks = await BlockModel.find({ status: "inChain" }).sort({
+      blockId: 1,
+    })
+    const drift = await findRecordDrift(blocks)
+
+    audit.checkedBlocks = report.checkedBlocks
+    audit.checkedRecords = blocks.reduce(
+      (count, block) => count + block.records.length,
+      0
+    )
+    audit.findings = [...getChainFindings(report), ...drift]
+    audit.isValid = audit.findings.length === 0
+  } catch (error) {
+    audit.error = error.message
+  } finally {
+    isAuditRunning = false
+  }
+
+  audit.finishedAt = new Date()
+  await audit.save()
+  if (!audit.error) {
+    await updateAlerts(audit)
+  }
+  return audit
+}
+
+// One finding per failed check of a block, or per record for the checks
+// failed by some records of the block
+function getChainFindings(report) {
+  return report.blocks
+    .filter((block) => !block.isValid)
+    .flatMap((block) =>
+      block.errors.flatMap(({ check, message, recordIds }) =>
+        (recordIds || [null]).map((recordId) => ({
+          check,
+          message,
+          blockId: block.blockId,
+          recordId,
+        }))
+      )
+    )
+}
+
+// Signed content of a record, the votes are left out as they are only copied
+// into the block once the record has been approved
+function getRecordContent(record) {
+  const { votes, ...content } = toCanonicalRecord(record)
+  return canonicalize(content)
+}
+
+async function findRecordDrift(blocks) {
+  const embeddedRecords = new Map()
+  for (const block of blocks) {
+    for (const record of block.records) {
+      embeddedRecords.set(record._id.toString(), {
+        record,
+        blockId: block.blockId,
+      })
+    }
+  }
+
+  const ids = [...embeddedRecords.keys()]
+  const query = { $or: [{ status: "inChain" }, { _id: { $in: ids } }] }
+  const storedRecords = new Map(
+    [
+      ...(await TransactionModel.find(query).lean()),
+      ...(await SupplyChainModel.find(query).lean()),
+    ].map((record) => [record._id.toString(), record])
+  )
+
+  const findings = []
+  for (const [recordId, { record, blockId }] of embeddedRecords) {
+    const storedRecord = storedRecords.get(recordId)
+
+    if (!storedRecord) {
+      findings.push({
+        check: "recordMissing",
+        message: "Record in the block has no stored document",
+        blockId,
+        recordId,
+      })
+      continue
+    }
+
+    if (getRecordContent(storedRecord) !== getRecordContent(record)) {
+      findings.push({
+        check: "recordDrift",
+        message: "Stored record differs from the copy in the block",
+        blockId,
+        recordId,
+      })
+    }
+
+    if (storedRecord.status !== "inChain") {
+      findings.push({
+        check: "recordStatus",
+        message: `Stored record of a chained block has status ${storedRecord.status}`,
+        blockId,
+        recordId,
+      })
+    }
+  }
+
+  for (const [recordId, storedRecord] of storedRecords) {
+    if (storedRecord.status === "inChain" && !embeddedRecords.has(recordId)) {
+      findings.push({
+        check: "recordNotInChain",
+        message: "Record has status inChain but is in no block of the chain",
+        blockId: null,
+        recordId,
+      })
+    }
+  }
+  return findings
+}
+
+function getAlertKey({ check, blockId, recordId }) {
+  return `${check}:${blockId}:${recordId}`
+}
+
+// Raises an alert for every new finding and resolves the open alerts the
+// audit did not find anymore
+async function updateAlerts(audit) {
+  const now = audit.finishedAt
+
+  for (const { check, message, blockId, recordId } of audit.findings) {
+    const alert = await AlertModel.findOneAndUpdate(
+      { check, blockId, recordId, status: "Open" },
+      {
+        $set: { message, lastSeenAt: now },
+        $setOnInsert: { raisedAt: now },
+        $push: { audits: audit._id },
+      },
+      { upsert: true, new: true }
+    )
+    if (alert.raisedAt.getTime() === now.getTime()) {
+      console.log(
+        `Integrity alert: ${message} (block ${blockId}, record ${recordId})`
+      )
+    }
+  }
+
+  const foundKeys = new Set(audit.findings.map(getAlertKey))
+  const resolvedAlerts = (await AlertModel.find({ status: "Open" })).filter(
+    (alert) => !foundKeys.has(getAlertKey(alert))
+  )
+  await AlertModel.updateMany(
+    { _id: { $in: resolvedAlerts.map((alert) => alert._id) } },
+    { status: "Resolved", resolvedAt: now }
+  )
+}
+
+module.exports = { getAuditStatus, startAudit, runAudit }
@@ -3,34 +3,26 @@ const { BadRequestError } = require("../errors")
 const EC = require("elliptic").ec
 const ec = new EC("secp256k1")
 
-const generateKeys = async (req, res) => {
-  const key = ec.genKeyPair()
-  const publicKey = key.getPublic("hex")
-  const privateKey = key.getPrivate("hex")
-
-  const keyAlreadyExist = await UserModel.findOne({
-    $or: [{ publicKey }, { privateKey }],
-  })
-
-  if (keyAlreadyExist) {
-    const secondKey = ec.genKeyPair()
-    const publicKey = secondKey.getPublic("hex")
-    const privateKey = secondKey.getPrivate("hex")
-    res.status(200).json({ publicKey, privateKey })
-  }
-
-  res.status(200).json({ publicKey, privateKey })
-}
-
 const register = async (req, res) => {
-  const { username } = req.body
+  const { username, password, role, publicKey } = req.body
 
   const usernameAlreadyExists = await UserModel.findOne({ username })
   if (usernameAlreadyExists) {
     throw new BadRequestError("Username already exists")
   }
 
-  await UserModel.create(req.body)
+  // administrators edit the catalogue the mass balance checks rely on, they
+  // are appointed with npm run set:role instead
+  if (role === "Administrator") {
+    throw new BadRequestError("Administrators can not register themselves")
+  }
+
+  if (!isValidPublicKey(publicKey)) {
+    throw new BadRequestError("Please provide a valid secp256k1 public key")
+  }
+
+  // the private key is generated and kept by the client, never by the server
+  await UserModel.create({ username, password, role, publicKey })
   res.status(201).json({ msg: "Successfully registered user" })
 }
 
@@ -56,8 +48,20 @@ const login = async (req, res) => {
   res.status(200).json({ user: { role: user.role }, token })
 }
 
+function isValidPublicKey(publicKey) {
+  // only uncompressed keys match the addresses stored in transactions
+  if (typeof publicKey !== "string" || publicKey.length !== 130) {
+    return false
+  }
+
+  try {
+    return ec.keyFromPublic(publicKey, "hex").validate().result
+  } catch (error) {
+    return false
+  }
+}
+
 module.exports = {
   register,
   login,
-  generateKeys,
 }
@@ -1,28 +1,161 @@
+const mongoose = require("mongoose")
 const BlockModel = require("../models/block")
 const UserModel = require("../models/user")
 const TransactionModel = require("../models/transaction")
 const SupplyChainModel = require("../models/supplychain")
+const ProductModel = require("../models/product")
 const {
-  computeTransactionHash,
+  getTransactionHash,
   checkTransactionValidity,
 } = require("../controllers/transactionController")
 const {
-  computeRecordHash,
+  getRecordHash,
   checkRecordValidity,
+  checkAcknowledgementValidity,
 } = require("../controllers/supplyChainController")
 const { NotFoundError, BadRequestError } = require("../errors")
+const {
+  computeMerkleRoot,
+  getMerkleProof,
+  verifyMerkleProof,
+} = require("../utils/merkle")
+const {
+  VOTES_BLOCK_HASH_VERSION,
+  VALIDATORS_BLOCK_HASH_VERSION,
+  MERKLE_BLOCK_HASH_VERSION,
+  BLOCK_HASH_VERSION,
+  canonicalize,
+  isLegacyHashVersion,
+} = require("../utils/canonical")
+const { getSignedTimestamp, parseDateParam } = require("../utils/timestamp")
+const { createVote, verifyVote } = require("../utils/votes")
+const { broadcastBlock } = require("../utils/peers")
+const { decide } = require("../consensus")
+const { fillHibernatingBlocks } = require("../utils/mempool")
+const { runAtomically } = require("../utils/atomic")
+const {
+  hasNonce,
+  getNonceKey,
+  getChainNonces,
+  findNonceReplays,
+} = require("../utils/nonces")
+const { hasInputs } = require("../utils/batches")
+const {
+  toValidatorSet,
+  getValidatorKeys,
+  getValidators,
+  getVotingValidator,
+} = require("../utils/validators")
+const { getTrustedCheckpoint } = require("../utils/checkpoints")
 const { createHash } = require("crypto")
-const CONSENSUS_THRESHOLD = 0.66
+const { MAX_BLOCK_SIZE, MAX_BLOCK_WAIT_MINUTES } = require("../config/chain")
 const GENESIS_BLOCK_ID = 0
-const MAX_RECORD = 2
+const SEARCH_LIMIT = 50
+const DEFAULT_PAGE_SIZE = 20
+const MAX_PAGE_SIZE = 100
 
+// Returns one page of the chain. Query parameters:
+//   page, limit         offset pagination, page starts at 1
+//   cursor              blockId of the last block of the previous page,
+//                       replaces page for cursor pagination
+//   order               "asc" (default) or "desc" by blockId
+//   fromBlockId, toBlockId, fromDate, toDate   inclusive ranges
+//   headers=true        leaves out the embedded records
 const getBlockchain = async (req, res) => {
-  let blockchain = await BlockModel.find({ status: "inChain" })
-  if (blockchain.length == 0) {
-    blockchain = await createGenesisBlock()
-    await createHibernateBlock()
+  const { filter, order, page, limit, headersOnly } = parseBlockchainQuery(
+    req.query
+  )
+  const total = await BlockModel.countDocuments(filter)
+
+  const cursor = parseBlockIdParam(req.query, "cursor")
+  const pageFilter =
+    cursor === undefined
+      ? filter
+      : {
+          $and: [
+            filter,
+            { blockId: order === 1 ? { $gt: cursor } : { $lt: cursor } },
+          ],
+        }
+
+  // one block more than the page tells whether there is a next page
+  let query = BlockModel.find(pageFilter)
+    .sort({ blockId: order })
+    .limit(limit + 1)
+  if (cursor === undefined) {
+    query = query.skip((page - 1) * limit)
+  }
+  if (headersOnly) {
+    query = query.select("-records")
+  }
+  const blocks = await query
+  const blockchain = blocks.slice(0, limit)
+  const hasMore = blocks.length > limit
+
+  res.status(200).json({
+    blockchain,
+    total,
+    page: cursor === undefined ? page : null,
+    limit,
+    nextCursor: hasMore ? blockchain[blockchain.length - 1].blockId : null,
+  })
+}
+
+function parseBlockIdParam(query, name) {
+  if (query[name] === undefined || query[name] === "") {
+    return undefined
+  }
+  const value = Number(query[name])
+  if (!Number.isInteger(value) || value < 0) {
+    throw new BadRequestError(`${name} must be a block id`)
+  }
+  return value
+}
+
+function parseBlockchainQuery(query) {
+  const filter = { status: "inChain" }
+
+  const fromBlockId = parseBlockIdParam(query, "fromBlockId")
+  const toBlockId = parseBlockIdParam(query, "toBlockId")
+  if (fromBlockId !== undefined || toBlockId !== undefined) {
+    filter.blockId = {}
+    if (fromBlockId !== undefined) {
+      filter.blockId.$gte = fromBlockId
+    }
+    if (toBlockId !== undefined) {
+      filter.blockId.$lte = toBlockId
+    }
+  }
+
+  const fromDate = parseDateParam(query, "fromDate")
+  const toDate = parseDateParam(query, "toDate")
+  if (fromDate || toDate) {
+    filter.timestamp = {}
+    if (fromDate) {
+      filter.timestamp.$gte = fromDate
+    }
+    if (toDate) {
+      filter.timestamp.$lte = toDate
+    }
+  }
+
+  if (query.order && !["asc", "desc"].includes(query.order)) {
+    throw new BadRequestError('order must be "asc" or "desc"')
+  }
+
+  const page = parseInt(query.page) || 1
+  const limit = parseInt(query.limit) || DEFAULT_PAGE_SIZE
+  if (page < 1 || limit < 1) {
+    throw new BadRequestError("page and limit must be positive")
+  }
+
+  return {
+    filter,
+    order: query.order === "desc" ? -1 : 1,
+    page,
+    limit: Math.min(limit, MAX_PAGE_SIZE),
+    headersOnly: query.headers === "true",
   }
-  res.status(200).json({ blockchain })
 }
 
 const getBlock = async (req, res) => {
@@ -34,10 +167,155 @@ const getBlock = async (req, res) => {
   res.status(200).json({ block })
 }
 
-const getWaitingBlock = async (req, res) => {
-  const waitingBlock = await BlockModel.findOne({
-    $or: [{ status: "Hibernating" }, { status: "Pending" }],
+const getRecordProof = async (req, res) => {
+  const { id: blockID, recordId } = req.params
+  const block = await BlockModel.findOne({
+    blockId: blockID,
+    status: "inChain",
+  })
+  if (!block) {
+    throw new NotFoundError(`No block with block id ${blockID} in the chain`)
+  }
+
+  const index = block.records.findIndex(
+    (record) => record._id.toString() === recordId
+  )
+  if (index === -1) {
+    throw new NotFoundError(
+      `No record with id ${recordId} in block ${block.blockId}`
+    )
+  }
+
+  if (!block.merkleRoot) {
+    throw new BadRequestError(
+      `Block ${block.blockId} was sealed before Merkle roots were introduced`
+    )
+  }
+
+  const leaves = computeRecordLeaves(block.records)
+  const isLegacy = hasLegacyMerkleTree(block)
+  const proof = getMerkleProof(leaves, index, isLegacy)
+
+  res.status(200).json({
+    blockId: block.blockId,
+    blockHash: block.hash,
+    merkleRoot: block.merkleRoot,
+    hashVersion: block.hashVersion,
+    leaf: leaves[index],
+    proof,
+    isValid: verifyMerkleProof(
+      leaves[index],
+      proof,
+      block.merkleRoot,
+      isLegacy
+    ),
+    record: block.records[index],
+  })
+}
+
+// Looks a term up as a block hash or previous hash, transaction or record id,
+// batch ID, product ID or public key, and returns the matching records with
+// the blocks of the chain they are in
+const searchBlockchain = async (req, res) => {
+  const query = (req.query.q || "").trim()
+  if (!query) {
+    throw new BadRequestError("Please provide a search term")
+  }
+
+  const isObjectId = /^[0-9a-fA-F]{24}$/.test(query)
+  const product = /^\d+$/.test(query)
+    ? await ProductModel.findOne({ productId: Number(query) })
+    : null
+  const user = await UserModel.findOne({ publicKey: query }).select(
+    "username role publicKey"
+  )
+
+  const addressQuery = [{ fromAddress: query }, { toAddress: query }]
+  const transactions = await TransactionModel.find({
+    $or: isObjectId ? [{ _id: query }, ...addressQuery] : addressQuery,
+  }).limit(SEARCH_LIMIT)
+
+  const recordQuery = [
+    ...addressQuery,
+    { batchId: query },
+    { previousBatchId: query },
+    { "inputs.batchId": query },
+  ]
+  if (isObjectId) {
+    recordQuery.push({ _id: query }, { transactionReceipt: query })
+  }
+  if (product) {
+    recordQuery.push({ batchId: product.prevBatchId })
+  }
+  const records = await SupplyChainModel.find({ $or: recordQuery }).limit(
+    SEARCH_LIMIT
+  )
+
+  const recordIds = [...transactions, ...records].map((record) => record._id)
+  const blocks = await BlockModel.find({
+    status: "inChain",
+    $or: [
+      { hash: query },
+      { prevHash: query },
+      { "records._id": { $in: recordIds } },
+    ],
+  })
+    .sort({ blockId: 1 })
+    .limit(SEARCH_LIMIT)
+
+  const findBlockId = (recordId) => {
+    const block = blocks.find((block) =>
+      block.records.some(
+        (record) => record._id.toString() === recordId.toString()
+      )
+    )
+    return block ? block.blockId : null
+  }
+
+  res.status(200).json({
+    query,
+    blocks: blocks.map(({ blockId, hash, prevHash, timestamp, records }) => ({
+      blockId,
+      hash,
+      prevHash,
+      timestamp,
+      recordCount: records.length,
+    })),
+    records: [
+      ...transactions.map((transaction) => ({
+        type: "transaction",
+        _id: transaction._id,
+        fromAddress: transaction.fromAddress,
+        toAddress: transaction.toAddress,
+        amount: transaction.amount,
+        status: transaction.status,
+        timestamp: transaction.timestamp,
+        blockId: findBlockId(transaction._id),
+      })),
+      ...records.map((record) => ({
+        type: "record",
+        _id: record._id,
+        fromAddress: record.fromAddress,
+        toAddress: record.toAddress,
+        batchId: record.batchId,
+        previousBatchId: record.previousBatchId,
+        inputs: record.inputs,
+        status: record.status,
+        timestamp: record.timestamp,
+        blockId: findBlockId(record._id),
+      })),
+    ],
+    product,
+    user,
   })
+}
+
+// Pending blocks are voted on in the order they were sealed, the hibernating
+// block is shown once none is left
+const getWaitingBlock = async (req, res) => {
+  const waitingBlock =
+    (await BlockModel.findOne({ status: "Pending" }).sort({ timestamp: 1 })) ||
+    (await BlockModel.findOne({ status: "Hibernating" }))
   res.status(200).json({ waitingBlock })
 }
 
@@ -55,8 +333,8 @@ const activateBlock = async (req, res) => {
     )
   }
 
-  const isMaxRecord = selectedBlock.records.length === MAX_RECORD
-  if (!isMaxRecord) {
+  const isFull = selectedBlock.records.length >= MAX_BLOCK_SIZE
+  if (!isFull && !hasBlockExpired(selectedBlock)) {
     throw new BadRequestError("Insufficient records in this block")
   }
 
@@ -64,10 +342,11 @@ const activateBlock = async (req, res) => {
     { _id: blockID },
     {
       status: "Pending",
-      timestamp: new Date().toLocaleString("en-GB"),
+      timestamp: new Date(),
     },
     { new: true }
   )
+  await fillHibernatingBlocks()
   res
     .status(200)
     .json({ msg: "Block is successfully activated", activateBlock })
@@ -84,14 +363,14 @@ const validateBlock = async (req, res) => {
     throw new BadRequestError(`No block with id ${blockID}`)
   }
 
-  isValid = validateBlockRecords(block.records)
+  const isValid = await validateBlockRecords(block.records)
 
-  res.status(200).json({ isValid })
+  res.status(200).json({ isValid, hash: computeBlockContentHash(block) })
 }
 
 const approveBlock = async (req, res) => {
   const { id: blockID } = req.params
-  const { isApproved } = req.body
+  const { isApproved, timestamp, signature, flaggedRecords } = req.body
   const { username } = req.user
 
   const hasApproveBefore = await BlockModel.findOne({
@@ -105,23 +384,60 @@ const approveBlock = async (req, res) => {
     throw new BadRequestError("Already rejected or approved this block")
   }
 
-  let block = await BlockModel.findOneAndUpdate(
+  let block = await BlockModel.findOne({ _id: blockID, status: "Pending" })
+
+  if (!block) {
+    throw new NotFoundError(
+      `No pending block with id ${blockID} or block has not been activated`
+    )
+  }
+
+  if (!(await getLatestBlock())) {
+    throw new BadRequestError(
+      "The chain has no genesis block yet, run npm run bootstrap first"
+    )
+  }
+
+  // a rejecting validator may blame single records, the others go back to
+  // the mempool once the block is rejected
+  if (flaggedRecords !== undefined) {
+    const recordIds = block.records.map((record) => record._id.toString())
+    const unknownRecord = []
+      .concat(flaggedRecords)
+      .find((recordId) => !recordIds.includes(recordId))
+    if (unknownRecord !== undefined) {
+      throw new BadRequestError(
+        `No record with id ${unknownRecord} in this block`
+      )
+    }
+  }
+
+  const validator = await getVotingValidator(username)
+  const vote = createVote(
+    validator,
+    isApproved,
+    computeBlockContentHash(block),
+    timestamp,
+    signature,
+    flaggedRecords
+  )
+
+  block = await BlockModel.findOneAndUpdate(
     { _id: blockID, status: "Pending" },
     {
       $addToSet: isApproved
         ? { approvedBy: username }
         : { rejectedBy: username },
+      $push: { votes: vote },
     },
     { new: true }
   )
 
   if (!block) {
-    throw new NotFoundError(
-      `No pending block with id ${blockID} or block has not been activated`
-    )
+    throw new NotFoundError(`Block with id ${blockID} is no longer pending`)
   }
 
-  block = await blockConsensus(block, blockID)
+  block = await blockConsensus(blockID)
 
   console.log(block)
 
@@ -137,238 +453,742 @@ const approveBlock = async (req, res) => {
   res.status(200).json({ message: message, block })
 }
 
+// Validates the blocks from the latest signed checkpoint onwards, or the whole
+// chain with ?full=true
 const validateBlockchain = async (req, res) => {
-  const blockchain = await BlockModel.find({ status: "inChain" })
+  const report = await checkBlockchain(req.query.full === "true")
+  res.status(200).json({ isValid: report.isValid, report })
+}
+
+async function checkBlockchain(isFull) {
+  const validators = await getValidators()
 
-  isValid = validateBlocks(blockchain)
-  res.status(200).json({ isValid })
+  const checkpoint = isFull ? null : await getTrustedCheckpoint(validators)
+  const query = { status: "inChain" }
+  if (checkpoint) {
+    query.blockId = { $gte: checkpoint.blockId }
+  }
+  const blockchain = await BlockModel.find(query).sort({ blockId: 1 })
+  const previousNonces = checkpoint
+    ? await getChainNonces(checkpoint.blockId)
+    : []
+
+  const report = validateBlocks(
+    blockchain,
+    validators,
+    checkpoint,
+    previousNonces
+  )
+  report.mode = checkpoint ? "incremental" : "full"
+  report.checkpoint = checkpoint && {
+    blockId: checkpoint.blockId,
+    hash: checkpoint.hash,
+    signedAt: checkpoint.signedAt,
+  }
+
+  // the last block checked, which a valid chain can be checkpointed at
+  const latestBlock = blockchain[blockchain.length - 1]
+  report.latestBlock = latestBlock
+    ? { blockId: latestBlock.blockId, hash: latestBlock.hash }
+    : null
+  return report
 }
 
-async function createGenesisBlock() {
+// Block 0 carries the genesis configuration of the network (see
+// utils/genesis.js), which is hashed with the block
+async function createGenesisBlock(genesis) {
   const previousHash = ""
-  const timestamp = new Date().toLocaleString("en-GB")
+  const timestamp = new Date()
   const record = []
+  const merkleRoot = computeMerkleRoot(computeRecordLeaves(record))
   const genesisBlock = await BlockModel.create({
     blockId: GENESIS_BLOCK_ID,
     prevHash: previousHash,
-    hash: computeBlockHash(GENESIS_BLOCK_ID, previousHash, timestamp, record),
+    hash: computeBlockHash(
+      GENESIS_BLOCK_ID,
+      previousHash,
+      timestamp.toISOString(),
+      record,
+      merkleRoot,
+      BLOCK_HASH_VERSION,
+      { votes: [], validatorCount: 0, validators: [], genesis }
+    ),
+    merkleRoot,
+    hashVersion: BLOCK_HASH_VERSION,
+    validatorCount: 0,
+    validators: [],
+    genesis,
     timestamp: timestamp,
     status: "inChain",
   })
   return genesisBlock
 }
 
-async function createHibernateBlock() {
-  let hibernateBlock = await BlockModel.create({
-    timestamp: new Date().toLocaleString("en-GB"),
-  })
+// Legacy blocks hash the JSON.stringify output of the whole stored records,
+// blocks sealed before Merkle roots were introduced have no merkleRoot and an
+// empty root keeps their hashes unchanged. From VOTES_BLOCK_HASH_VERSION on
+// the signed votes of the validators and their number at sealing time are
+// hashed as well, so a vote cannot be edited once the block is in the chain,
+// and from VALIDATORS_BLOCK_HASH_VERSION on the validator set itself.
+function computeBlockHash(
+  blockId,
+  prevHash,
+  timestamp,
+  record,
+  merkleRoot,
+  hashVersion,
+  header = {}
+) {
+  if (isLegacyHashVersion(hashVersion)) {
+    const payload =
+      blockId.toString() +
+      prevHash +
+      timestamp +
+      JSON.stringify(record) +
+      (merkleRoot || "")
+    return createHash("sha256").update(payload).digest("hex")
+  }
 
-  const waitingTransactions = await TransactionModel.find({
-    status: "Approved",
-  })
+  const content = {
+    blockId,
+    prevHash,
+    timestamp,
+    merkleRoot,
+    records: record.map((item) => toCanonicalRecord(item)),
+    hashVersion,
+  }
+  if (hashVersion >= VOTES_BLOCK_HASH_VERSION) {
+    content.votes = (header.votes || []).map((vote) => toCanonicalVote(vote))
+    content.validatorCount = header.validatorCount
+  }
+  if (hashVersion >= VALIDATORS_BLOCK_HASH_VERSION) {
+    content.validators = toValidatorSet(header.validators || [])
+  }
+  // genesis blocks created before the bootstrap command carry no genesis
+  if (header.genesis) {
+    content.genesis = header.genesis
+  }
+  return createHash("sha256").update(canonicalize(content)).digest("hex")
+}
 
-  const waitingSupplyChainRecords = await SupplyChainModel.find({
-    status: "Approved",
-  })
+// What validators sign when voting on a block: the block itself and the
+// records it was activated with
+function computeBlockContentHash(block) {
+  return createHash("sha256")
+    .update(
+      canonicalize({
+        _id: block._id.toString(),
+        merkleRoot: computeMerkleRoot(
+          computeRecordLeaves(block.records),
+          hasLegacyMerkleTree(block)
+        ),
+      })
+    )
+    .digest("hex")
+}
 
-  let records = []
-  records = records.concat(waitingTransactions, waitingSupplyChainRecords)
+function toCanonicalVote(vote) {
+  const { validator, publicKey, decision, timestamp, signature } = vote
+  return {
+    validator,
+    publicKey,
+    decision,
+    timestamp,
+    signature,
+    flaggedRecords: vote.flaggedRecords || undefined,
+  }
+}
 
-  records.sort(function (a, b) {
-    if (a.timestamp < b.timestamp) return -1
-    else if (a.timestamp > b.timestamp) return 1
-    return 0
-  })
+// Only the signed content of a record is hashed into a block, fields such as
+// status or approvedBy keep changing after the record has been signed
+function toCanonicalAcknowledgement(acknowledgement) {
+  const { receiver, publicKey, receivedProducts, notes, timestamp, signature } =
+    acknowledgement
+  return {
+    receiver,
+    publicKey,
+    receivedProducts: receivedProducts.map(({ name, quantity }) => ({
+      name,
+      quantity: Number(quantity),
+    })),
+    notes,
+    timestamp,
+    signature,
+  }
+}
 
-  if (records.length > MAX_RECORD) {
-    for (i = 0; i < MAX_RECORD; i++) {
-      records[i].status = "inBlock"
-      await records[i].save()
-    }
-    hibernateBlock = await BlockModel.findOneAndUpdate(
-      { status: "Hibernating" },
-      { records: records.slice(0, MAX_RECORD) },
-      { new: true }
-    )
+function toCanonicalRecord(record) {
+  const { _id, fromAddress, toAddress, signature, createdBy } = record
+  const canonicalRecord = {
+    _id: _id.toString(),
+    fromAddress,
+    toAddress,
+    timestamp: getSignedTimestamp(record),
+    signature,
+    createdBy,
+    hashVersion: record.hashVersion || undefined,
+    nonce: hasNonce(record) ? record.nonce : undefined,
+  }
+
+  // records signed before validator votes were introduced have none
+  if (record.votes && record.votes.length > 0) {
+    canonicalRecord.votes = record.votes.map((vote) => toCanonicalVote(vote))
+  }
+
+  if ("amount" in record) {
+    canonicalRecord.amount = Number(record.amount)
   } else {
-    for (i = 0; i < records.length; i++) {
-      records[i].status = "inBlock"
-      await records[i].save()
+    canonicalRecord.products = record.products.map(({ name, quantity }) => ({
+      name,
+      quantity: Number(quantity),
+    }))
+    canonicalRecord.batchId = record.batchId
+    canonicalRecord.previousBatchId = record.previousBatchId
+    // the countersignature of the receiver is kept with the handover
+    if (record.acknowledgement) {
+      canonicalRecord.acknowledgement = toCanonicalAcknowledgement(
+        record.acknowledgement
+      )
     }
-    hibernateBlock = await BlockModel.findOneAndUpdate(
-      { status: "Hibernating" },
-      { records: records },
-      { new: true }
-    )
+    if (hasInputs(record)) {
+      canonicalRecord.inputs = record.inputs.map(
+        ({ batchId, name, quantity }) => ({
+          batchId,
+          name,
+          quantity: Number(quantity),
+        })
+      )
+    }
+    canonicalRecord.transactionReceipt = record.transactionReceipt.toString()
   }
-  return hibernateBlock
+  return canonicalRecord
 }
 
-function computeBlockHash(blockId, prevHash, timestamp, record) {
-  return createHash("sha256")
-    .update(blockId.toString() + prevHash + timestamp + JSON.stringify(record))
-    .digest("hex")
+// Blocks in the chain sealed before MERKLE_BLOCK_HASH_VERSION keep the legacy
+// tree, blocks waiting for the validators are built with the current one
+function hasLegacyMerkleTree(block) {
+  return (
+    block.status === "inChain" &&
+    !(block.hashVersion >= MERKLE_BLOCK_HASH_VERSION)
+  )
 }
 
-async function blockConsensus(block, id) {
-  if (block.status === "Pending") {
-    const validators = await UserModel.find({ role: "Validator" })
+function computeRecordLeaf(record) {
+  return "amount" in record ? getTransactionHash(record) : getRecordHash(record)
+}
 
-    const approvedPercentage =
-      block.approvedBy.length / parseFloat(validators.length)
+function computeRecordLeaves(records) {
+  return records.map((record) => computeRecordLeaf(record))
+}
+
+// Hibernating blocks created before lastActivity was tracked count from their
+// creation time
+function hasBlockExpired(block) {
+  if (block.records.length === 0) {
+    return false
+  }
+  const lastActivity = block.lastActivity || block.timestamp
+  const waitTime = MAX_BLOCK_WAIT_MINUTES * 60 * 1000
+  return Date.now() - lastActivity.getTime() >= waitTime
+}
 
-    const rejectedPercentage =
-      block.rejectedBy.length / parseFloat(validators.length)
+// Moves a partially filled hibernating block to Pending once it has been
+// waiting for more records longer than the configured wait time
+async function sealInactiveBlocks() {
+  const hibernatingBlock = await BlockModel.findOne({ status: "Hibernating" })
 
-    if (approvedPercentage >= CONSENSUS_THRESHOLD) {
-      block = await BlockModel.findOneAndUpdate(
-        { _id: id },
-        { status: "Approved" },
-        { new: true }
-      )
-      await updateRecordsStatus()
-      await updateRecordsStatusInBlock(block)
-      block = await appendToBlockchain(block, id)
-    } else if (rejectedPercentage >= CONSENSUS_THRESHOLD) {
-      block = await BlockModel.findOneAndUpdate(
-        { _id: id },
-        { status: "Rejected", timestamp: new Date().toLocaleString("en-GB") },
-        { new: true }
+  if (!hibernatingBlock || !hasBlockExpired(hibernatingBlock)) {
+    return null
+  }
+
+  const sealedBlock = await BlockModel.findOneAndUpdate(
+    { _id: hibernatingBlock._id, status: "Hibernating" },
+    {
+      status: "Pending",
+      timestamp: new Date(),
+    },
+    { new: true }
+  )
+  await fillHibernatingBlocks()
+  return sealedBlock
+}
+
+// Decides a pending block in a single transaction: the block status, the
+// status of its records, the append to the chain and the next hibernating
+// block are committed together, so concurrent votes cannot append it twice
+async function blockConsensus(id) {
+  const { block, decision } = await runAtomically(async (session) => {
+    const block = await BlockModel.findOne({
+      _id: id,
+      status: "Pending",
+    }).session(session)
+    if (!block) {
+      return {}
+    }
+
+    const validators = await getValidators(session)
+    const latestBlock = await getLatestBlock(session)
+    const decision = decide({
+      approvedBy: block.approvedBy,
+      rejectedBy: block.rejectedBy,
+      validators,
+      round: latestBlock.blockId + 1,
+    })
+
+    if (decision === "Approved") {
+      await updateRecordsStatus(block, "inChain", session)
+      const appendedBlock = await appendToBlockchain(
+        block,
+        latestBlock,
+        validators,
+        session
       )
-      await rejectRecords()
-      await rejectRecordsStatusInBlock(block)
-      await createHibernateBlock()
+      await fillHibernatingBlocks(session)
+      return { block: appendedBlock, decision }
+    }
+
+    if (decision === "Rejected") {
+      const rejectedBlock = await rejectBlock(block, session)
+      await fillHibernatingBlocks(session)
+      return { block: rejectedBlock, decision }
     }
-    return block
+    return { block, decision }
+  })
+
+  // peers only hear about the block once it is committed
+  if (decision === "Approved") {
+    broadcastBlock(block).catch((error) => console.log(error))
   }
+  return block || BlockModel.findOne({ _id: id })
 }
 
-async function appendToBlockchain(block, id) {
-  const blockchain = await BlockModel.find({ status: "inChain" }).sort({
-    blockId: -1,
-  })
-  const blockId = blockchain[0].blockId + 1
-  const prevHash = blockchain[0].hash
-  const timestamp = new Date().toLocaleString("en-GB")
-  const updatedBlock = await BlockModel.findOneAndUpdate(
-    { _id: id, status: "Approved" },
+async function getLatestBlock(session) {
+  return BlockModel.findOne({ status: "inChain" })
+    .sort({ blockId: -1 })
+    .session(session)
+}
+
+// The validators deciding the block are stored with it, its votes are verified
+// against them from then on
+async function appendToBlockchain(block, latestBlock, validators, session) {
+  const validatorSet = toValidatorSet(validators)
+  const blockId = latestBlock.blockId + 1
+  const prevHash = latestBlock.hash
+  const timestamp = new Date()
+  const merkleRoot = computeMerkleRoot(computeRecordLeaves(block.records))
+  return BlockModel.findOneAndUpdate(
+    { _id: block._id, status: "Pending" },
     {
       blockId: blockId,
       prevHash: prevHash,
-      hash: computeBlockHash(blockId, prevHash, timestamp, block.records),
+      hash: computeBlockHash(
+        blockId,
+        prevHash,
+        timestamp.toISOString(),
+        block.records,
+        merkleRoot,
+        BLOCK_HASH_VERSION,
+        {
+          votes: block.votes,
+          validatorCount: validatorSet.length,
+          validators: validatorSet,
+        }
+      ),
+      merkleRoot,
+      hashVersion: BLOCK_HASH_VERSION,
+      validatorCount: validatorSet.length,
+      validators: validatorSet,
       timestamp,
+      $unset: { legacyTimestamp: "" },
       status: "inChain",
     },
-    { new: true }
+    { new: true, session }
   )
-  await createHibernateBlock()
-  return updatedBlock
 }
 
-async function updateRecordsStatus() {
-  await TransactionModel.updateMany(
-    { status: "inBlock" },
-    { status: "inChain" }
+// Only the records flagged by the rejecting validators are rejected, the
+// others return to the mempool and keep their approval time, so they are the
+// first ones in the next block. Without any flagged record the whole block is
+// at fault. Every rejection is kept in the history of the block.
+async function rejectBlock(block, session) {
+  const recordIds = block.records.map((record) => record._id.toString())
+  const flagged = new Set(
+    block.votes
+      .filter((vote) => vote.decision === "reject" && vote.flaggedRecords)
+      .flatMap((vote) => vote.flaggedRecords)
   )
-  await SupplyChainModel.updateMany(
-    { status: "inBlock" },
-    { status: "inChain" }
+  const flaggedRecords =
+    flagged.size > 0
+      ? recordIds.filter((recordId) => flagged.has(recordId))
+      : recordIds
+  const requeuedRecords = recordIds.filter(
+    (recordId) => !flaggedRecords.includes(recordId)
+  )
+
+  await updateRecordsStatus(block, "Rejected", session, flaggedRecords)
+  await updateRecordsStatus(block, "Approved", session, requeuedRecords)
+
+  return BlockModel.findOneAndUpdate(
+    { _id: block._id, status: "Pending" },
+    {
+      status: "Rejected",
+      timestamp: new Date(),
+      $push: {
+        rejections: {
+          rejectedAt: new Date(),
+          rejectedBy: block.rejectedBy,
+          flaggedRecords,
+          requeuedRecords,
+        },
+      },
+    },
+    { new: true, session }
   )
 }
 
-async function rejectRecords() {
+// Several blocks can wait for the validators at the same time, so only the
+// records of the decided block change status, both in their collection and
+// in the copy embedded in the block
+async function updateRecordsStatus(
+  block,
+  status,
+  session,
+  recordIds = block.records.map((record) => record._id.toString())
+) {
+  if (recordIds.length === 0) {
+    return
+  }
+
+  const ids = recordIds.map((recordId) => new mongoose.Types.ObjectId(recordId))
   await TransactionModel.updateMany(
-    { status: "inBlock" },
-    { status: "Rejected" }
+    { _id: { $in: ids }, status: "inBlock" },
+    { status },
+    { session }
   )
   await SupplyChainModel.updateMany(
-    { status: "inBlock" },
-    { status: "Rejected" }
+    { _id: { $in: ids }, status: "inBlock" },
+    { status },
+    { session }
+  )
+  await BlockModel.updateOne(
+    { _id: block._id },
+    { $set: { "records.$[record].status": status } },
+    { arrayFilters: [{ "record._id": { $in: ids } }], session }
   )
 }
 
-async function updateRecordsStatusInBlock(block) {
-  for (i = 0; i < MAX_RECORD; i++) {
-    block.records[i].status = "inChain"
-  }
-  block.markModified("records")
-  await block.save()
-}
-
-async function rejectRecordsStatusInBlock(block) {
-  for (i = 0; i < MAX_RECORD; i++) {
-    block.records[i].status = "Rejected"
-  }
-  block.markModified("records")
-  await block.save()
+// The records of a block need a valid signature and a nonce their sender has
+// not used for another transaction or record
+async function validateBlockRecords(records) {
+  return (
+    findInvalidRecords(records).length === 0 &&
+    (await findNonceReplays(records)).length === 0
+  )
 }
 
-function validateBlockRecords(records) {
+// Ids of the records in a block whose signature does not verify
+function findInvalidRecords(records) {
+  const invalidRecords = []
   for (record of records) {
-    if ("amount" in record) {
-      if (!checkTransactionValidity(record)) {
-        return false
-      }
-    } else if ("batchId" in record) {
-      if (!checkRecordValidity(record)) {
-        return false
+    let isValid = true
+    try {
+      if ("amount" in record) {
+        isValid = checkTransactionValidity(record)
+      } else if ("batchId" in record) {
+        isValid =
+          checkRecordValidity(record) && checkAcknowledgementValidity(record)
       }
+    } catch (error) {
+      isValid = false
+    }
+    if (!isValid) {
+      invalidRecords.push(record._id.toString())
     }
   }
-  return true
+  return invalidRecords
 }
 
-function validateBlocks(blocks) {
+function validateMerkleRoot(block) {
+  // blocks sealed before Merkle roots were introduced have nothing to check
+  if (block.merkleRoot === null || block.merkleRoot === undefined) {
+    return true
+  }
+  return (
+    block.merkleRoot ===
+    computeMerkleRoot(
+      computeRecordLeaves(block.records),
+      hasLegacyMerkleTree(block)
+    )
+  )
+}
+
+// Validators whose signed vote does not verify against the item hash or who
+// are not a known validator
+function findInvalidVotes(votes, itemHash, validatorKeys) {
+  return votes
+    .filter(
+      (vote) =>
+        validatorKeys.get(vote.publicKey) !== vote.validator ||
+        !verifyVote(vote, itemHash)
+    )
+    .map((vote) => vote.validator)
+}
+
+// Validators stored with the block that are not in the validator set of the
+// network. The stored set is part of the block content, so it only records who
+// decided the block and is never trusted to verify its votes.
+function findUnknownValidators(block, validatorKeys) {
+  return (block.validators || [])
+    .filter(
+      ({ username, publicKey }) => validatorKeys.get(publicKey) !== username
+    )
+    .map(({ username }) => username)
+}
+
+// Replays the consensus with the signed approvals of the validators of the
+// network only. A block storing its validator set is replayed for its round
+// with the size of the network set. Older blocks keep the validator count
+// hashed at sealing time and no round is given, as the validators may have
+// changed since, so with the round robin strategy any approval is accepted.
+function hasQuorum(block, validators, validatorKeys) {
+  const hasValidatorSet = block.hashVersion >= VALIDATORS_BLOCK_HASH_VERSION
+  const itemHash = computeBlockContentHash(block)
+  const approvedBy = block.votes
+    .filter(
+      (vote) =>
+        vote.decision === "approve" &&
+        validatorKeys.get(vote.publicKey) === vote.validator &&
+        verifyVote(vote, itemHash)
+    )
+    .map((vote) => vote.validator)
+
+  const decision = decide({
+    approvedBy: [...new Set(approvedBy)],
+    validators,
+    validatorCount: hasValidatorSet ? validators.length : block.validatorCount,
+    round: hasValidatorSet ? block.blockId : undefined,
+  })
+  return decision === "Approved"
+}
+
+// Checks every block of the chain, which is expected to be sorted by blockId,
+// and reports each failed check instead of stopping at the first one. Given a
+// checkpoint the blocks start at the checkpointed block instead of the genesis
+// block, and that block has to still hash to the signed checkpoint hash. Votes
+// are verified against the given validators, the validator set of the network.
+// Chains not starting at the genesis block take the nonces used by the records
+// before their first block.
+function validateBlocks(
+  blocks,
+  validators = [],
+  checkpoint = null,
+  previousNonces = []
+) {
+  const report = { isValid: true, checkedBlocks: blocks.length, blocks: [] }
+  const validatorKeys = getValidatorKeys(validators)
+  // sender address and nonce of every record already checked
+  const usedNonces = new Set(previousNonces)
+
   for (let i = 0; i < blocks.length; i++) {
-    if (i === 0) {
-      const genesisBlock = blocks[i]
-      const { blockId, prevHash, timestamp, records } = genesisBlock
-
-      if (
-        genesisBlock.hash !==
-        computeBlockHash(blockId, prevHash, timestamp, records)
-      ) {
-        return false
+    const currentBlock = blocks[i]
+    const {
+      blockId,
+      prevHash,
+      records,
+      merkleRoot,
+      hashVersion,
+      votes,
+      validatorCount,
+      genesis,
+    } = currentBlock
+    const errors = []
+
+    if (
+      currentBlock.hash !==
+      computeBlockHash(
+        blockId,
+        prevHash,
+        getSignedTimestamp(currentBlock),
+        records,
+        merkleRoot,
+        hashVersion,
+        {
+          votes,
+          validatorCount,
+          validators: currentBlock.validators,
+          genesis,
+        }
+      )
+    ) {
+      errors.push({
+        check: "hashMismatch",
+        message: "Stored hash does not match the block content",
+      })
+    }
+
+    if (!validateMerkleRoot(currentBlock)) {
+      errors.push({
+        check: "merkleRootMismatch",
+        message: "Merkle root does not match the block records",
+      })
+    }
+
+    if (i === 0 && checkpoint) {
+      if (blockId !== checkpoint.blockId) {
+        errors.push({
+          check: "blockIdGap",
+          message: `Chain resumes at block ${blockId} instead of checkpoint block ${checkpoint.blockId}`,
+        })
       }
 
-      if (genesisBlock.prevHash !== "") {
-        return false
+      if (currentBlock.hash !== checkpoint.hash) {
+        errors.push({
+          check: "checkpointMismatch",
+          message: "Block hash does not match the signed checkpoint",
+        })
+      }
+    } else if (i === 0) {
+      if (blockId !== GENESIS_BLOCK_ID) {
+        errors.push({
+          check: "blockIdGap",
+          message: `Chain starts at block ${blockId} instead of the genesis block`,
+        })
       }
 
-      if (!validateBlockRecords(records)) {
-        return false
+      if (prevHash !== "") {
+        errors.push({
+          check: "genesisPrevHash",
+          message: "Genesis block has a non-empty previous hash",
+        })
       }
     } else {
-      const currentBlock = blocks[i]
       const prevBlock = blocks[i - 1]
 
-      const { blockId, prevHash, timestamp, records } = currentBlock
-
-      if (
-        currentBlock.hash !==
-        computeBlockHash(blockId, prevHash, timestamp, records)
-      ) {
-        return false
+      if (blockId !== prevBlock.blockId + 1) {
+        errors.push({
+          check: "blockIdGap",
+          message: `Block ${blockId} follows block ${prevBlock.blockId}`,
+        })
       }
 
       if (prevHash !== prevBlock.hash) {
-        return false
+        errors.push({
+          check: "prevHashLink",
+          message: `Previous hash does not match the hash of block ${prevBlock.blockId}`,
+        })
+      }
+    }
+
+    const invalidRecords = findInvalidRecords(records)
+    if (invalidRecords.length > 0) {
+      errors.push({
+        check: "recordSignature",
+        message: "Records with an invalid signature",
+        recordIds: invalidRecords,
+      })
+    }
+
+    const replayedRecords = []
+    for (const record of records.filter((record) => hasNonce(record))) {
+      const key = getNonceKey(record)
+      if (!Number.isInteger(record.nonce) || usedNonces.has(key)) {
+        replayedRecords.push(record._id.toString())
       }
+      usedNonces.add(key)
+    }
+    if (replayedRecords.length > 0) {
+      errors.push({
+        check: "nonceReplay",
+        message: "Records with a missing or reused nonce",
+        recordIds: replayedRecords,
+      })
+    }
 
-      if (!validateBlockRecords(records)) {
-        return false
+    const invalidRecordVotes = records
+      .filter(
+        (record) =>
+          record.votes &&
+          findInvalidVotes(
+            record.votes,
+            computeRecordLeaf(record),
+            validatorKeys
+          ).length > 0
+      )
+      .map((record) => record._id.toString())
+    if (invalidRecordVotes.length > 0) {
+      errors.push({
+        check: "recordVoteSignature",
+        message: "Records with an invalid validator vote",
+        recordIds: invalidRecordVotes,
+      })
+    }
+
+    // blocks sealed before signed votes were introduced carry no votes
+    if (
+      blockId !== GENESIS_BLOCK_ID &&
+      hashVersion >= VOTES_BLOCK_HASH_VERSION
+    ) {
+      const invalidVotes = findInvalidVotes(
+        votes,
+        computeBlockContentHash(currentBlock),
+        validatorKeys
+      )
+      if (invalidVotes.length > 0) {
+        errors.push({
+          check: "voteSignature",
+          message: `Invalid votes by ${invalidVotes.join(", ")}`,
+        })
       }
+
+      const unknownValidators = findUnknownValidators(
+        currentBlock,
+        validatorKeys
+      )
+      if (unknownValidators.length > 0) {
+        errors.push({
+          check: "validatorSet",
+          message: `Stored validators not in the validator set: ${unknownValidators.join(
+            ", "
+          )}`,
+        })
+      }
+
+      if (!hasQuorum(currentBlock, validators, validatorKeys)) {
+        errors.push({
+          check: "quorum",
+          message: "Block does not have a quorum of signed approvals",
+        })
+      }
+    }
+
+    if (errors.length > 0) {
+      report.isValid = false
     }
+    report.blocks.push({
+      blockId,
+      hash: currentBlock.hash,
+      isValid: errors.length === 0,
+      errors,
+    })
   }
-  return true
+  return report
 }
 
 module.exports = {
   getBlockchain,
   getBlock,
+  getRecordProof,
+  searchBlockchain,
   getWaitingBlock,
   validateBlock,
   activateBlock,
   approveBlock,
   validateBlockchain,
+  sealInactiveBlocks,
+  createGenesisBlock,
+  checkBlockchain,
+  validateBlocks,
+  computeBlockHash,
+  computeBlockContentHash,
+  toCanonicalRecord,
 }
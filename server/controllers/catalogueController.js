@@ -0,0 +1,30 @@
+const { BadRequestError } = require("../errors")
+const {
+  buildCatalogue,
+  getCatalogue: findCatalogue,
+  updateCatalogue: saveCatalogue,
+} = require("../utils/catalogue")
+
+const getCatalogue = async (req, res) => {
+  const catalogue = await findCatalogue()
+  res.status(200).json({ catalogue })
+}
+
+// Replaces the products and stages, records already created keep the products
+// and batch IDs they were created with
+const updateCatalogue = async (req, res) => {
+  const { products, stages } = req.body
+  const { username } = req.user
+
+  let config
+  try {
+    config = buildCatalogue({ products, stages })
+  } catch (error) {
+    throw new BadRequestError(error.message)
+  }
+
+  const catalogue = await saveCatalogue(config, username)
+  res.status(200).json({ msg: "The catalogue has been updated", catalogue })
+}
+
+module.exports = { getCatalogue, updateCatalogue }
@@ -0,0 +1,125 @@
+const CheckpointModel = require("../models/checkpoint")
+const BlockModel = require("../models/block")
+const { NotFoundError, BadRequestError } = require("../errors")
+const { checkBlockchain } = require("./blockController")
+const { createVote } = require("../utils/votes")
+const { decide } = require("../consensus")
+const { getValidators, getVotingValidator } = require("../utils/validators")
+const {
+  computeCheckpointHash,
+  getCheckpointSigners,
+  getTrustedCheckpoint,
+  proposeCheckpoint,
+} = require("../utils/checkpoints")
+
+// The latest trusted checkpoint and the proposed checkpoint waiting for the
+// validator signatures, with the hash to sign
+const getCheckpoints = async (req, res) => {
+  const validators = await getValidators()
+  const checkpoint = await getTrustedCheckpoint(validators)
+
+  const candidate = await CheckpointModel.findOne({ status: "Pending" }).sort({
+    blockId: -1,
+  })
+
+  res.status(200).json({
+    checkpoint,
+    candidate: candidate && {
+      ...candidate.toObject(),
+      checkpointHash: computeCheckpointHash(candidate, validators),
+    },
+  })
+}
+
+// Validates the chain from the latest signed checkpoint onwards and proposes
+// its last block as the next checkpoint
+const createCheckpoint = async (req, res) => {
+  const report = await checkBlockchain(false)
+  if (!report.isValid) {
+    throw new BadRequestError(
+      "The chain is invalid, check its validity for the failed checks"
+    )
+  }
+  if (!report.latestBlock) {
+    throw new BadRequestError("The chain has no blocks to checkpoint")
+  }
+
+  const checkpoint = await proposeCheckpoint(report.latestBlock)
+  res.status(201).json({
+    msg:
+      checkpoint.status === "Signed"
+        ? `Block ${checkpoint.blockId} is already checkpointed`
+        : `Checkpoint at block ${checkpoint.blockId} is waiting for the validator signatures`,
+    checkpoint,
+  })
+}
+
+const signCheckpoint = async (req, res) => {
+  const { blockId } = req.params
+  const { timestamp, signature } = req.body
+  const { username } = req.user
+
+  let checkpoint = await CheckpointModel.findOne({ blockId: Number(blockId) })
+  if (!checkpoint) {
+    throw new NotFoundError(`No checkpoint at block ${blockId}`)
+  }
+
+  if (checkpoint.approvedBy.includes(username)) {
+    throw new BadRequestError("Already signed this checkpoint")
+  }
+
+  // the block may have changed since the checkpoint was proposed
+  const block = await BlockModel.findOne({
+    blockId: checkpoint.blockId,
+    status: "inChain",
+  })
+  if (!block || block.hash !== checkpoint.hash) {
+    throw new BadRequestError(
+      "The checkpointed block no longer matches the chain"
+    )
+  }
+
+  const validator = await getVotingValidator(username)
+  const validators = await getValidators()
+  const vote = createVote(
+    validator,
+    true,
+    computeCheckpointHash(checkpoint, validators),
+    timestamp,
+    signature
+  )
+
+  checkpoint = await CheckpointModel.findOneAndUpdate(
+    { _id: checkpoint._id, approvedBy: { $ne: username } },
+    { $addToSet: { approvedBy: username }, $push: { votes: vote } },
+    { new: true }
+  )
+  if (!checkpoint) {
+    throw new BadRequestError("Already signed this checkpoint")
+  }
+
+  if (checkpoint.status === "Pending") {
+    const decision = decide({
+      approvedBy: getCheckpointSigners(checkpoint, validators),
+      validators,
+    })
+
+    if (decision === "Approved") {
+      checkpoint = await CheckpointModel.findOneAndUpdate(
+        { _id: checkpoint._id },
+        { status: "Signed", signedAt: new Date() },
+        { new: true }
+      )
+    }
+  }
+
+  res.status(200).json({
+    msg:
+      checkpoint.status === "Signed"
+        ? `Checkpoint at block ${checkpoint.blockId} is signed`
+        : "You have signed this checkpoint",
+    checkpoint,
+  })
+}
+
+module.exports = { getCheckpoints, createCheckpoint, signCheckpoint }
@@ -364,50 +364,20 @@ const getUsers = async (req, res) => {
   })
 }
 
+// Midnight of each day from Sunday to the next Sunday, setDate rolls over
+// month and year boundaries
 function getCurrentWeek() {
-  let currentDate = new Date()
-  currentDate.setHours(0, 0, 0, 0)
-  let startingDate = currentDate.getDate() - currentDate.getDay()
-  const secondDay = startingDate + 1
-  const thirdDay = startingDate + 2
-  const fourthDay = startingDate + 3
-  const fifthDay = startingDate + 4
-  const sixthDay = startingDate + 5
-  const seventhDay = startingDate + 6
-  let endingDate = startingDate + 7
-
-  startingDate = new Date(currentDate.setDate(startingDate)).toLocaleString(
-    "en-GB"
-  )
-  const secondDate = new Date(currentDate.setDate(secondDay)).toLocaleString(
-    "en-GB"
-  )
-  const thirdDate = new Date(currentDate.setDate(thirdDay)).toLocaleString(
-    "en-GB"
-  )
-  const fourthDate = new Date(currentDate.setDate(fourthDay)).toLocaleString(
-    "en-GB"
-  )
-  const fifthDate = new Date(currentDate.setDate(fifthDay)).toLocaleString(
-    "en-GB"
-  )
-  const sixthDate = new Date(currentDate.setDate(sixthDay)).toLocaleString(
-    "en-GB"
-  )
-  const seventhDate = new Date(currentDate.setDate(seventhDay)).toLocaleString(
-    "en-GB"
-  )
-  endingDate = new Date(currentDate.setDate(endingDate)).toLocaleString("en-GB")
-  return [
-    startingDate,
-    secondDate,
-    thirdDate,
-    fourthDate,
-    fifthDate,
-    sixthDate,
-    seventhDate,
-    endingDate,
-  ]
+  const startingDate = new Date()
+  startingDate.setHours(0, 0, 0, 0)
+  startingDate.setDate(startingDate.getDate() - startingDate.getDay())
+
+  const weekRange = []
+  for (let i = 0; i <= 7; i++) {
+    const date = new Date(startingDate)
+    date.setDate(startingDate.getDate() + i)
+    weekRange.push(date)
+  }
+  return weekRange
 }
 
 module.exports = {
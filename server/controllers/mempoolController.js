@@ -0,0 +1,35 @@
+const BlockModel = require("../models/block")
+const { getMempool } = require("../utils/mempool")
+const { MAX_BLOCK_SIZE } = require("../config/chain")
+
+// Approved transactions and records waiting for room in a block, in the order
+// they will be added
+const getMempoolRecords = async (req, res) => {
+  const mempool = await getMempool()
+  const records = mempool.map((record, index) => ({
+    position: index + 1,
+    type: "amount" in record ? "transaction" : "record",
+    _id: record._id,
+    fromAddress: record.fromAddress,
+    toAddress: record.toAddress,
+    batchId: record.batchId,
+    approvedAt: record.approvedAt,
+    timestamp: record.timestamp,
+  }))
+
+  const hibernatingBlock = await BlockModel.findOne({ status: "Hibernating" })
+  const pendingBlocks = await BlockModel.countDocuments({ status: "Pending" })
+
+  res.status(200).json({
+    count: records.length,
+    records,
+    hibernatingBlock: hibernatingBlock && {
+      _id: hibernatingBlock._id,
+      size: hibernatingBlock.records.length,
+      capacity: MAX_BLOCK_SIZE,
+    },
+    pendingBlocks,
+  })
+}
+
+module.exports = { getMempoolRecords }
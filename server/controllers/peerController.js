@@ -0,0 +1,260 @@
+const mongoose = require("mongoose")
+const BlockModel = require("../models/block")
+const TransactionModel = require("../models/transaction")
+const SupplyChainModel = require("../models/supplychain")
+const { BadRequestError, ConflictError } = require("../errors")
+const { validateBlocks } = require("../controllers/blockController")
+const { fetchPeerBlocks } = require("../utils/peers")
+const { fillHibernatingBlocks } = require("../utils/mempool")
+const { readGenesisFile, loadGenesis } = require("../utils/genesis")
+const { getChainNonces, syncAccountNonce } = require("../utils/nonces")
+const { getGenesisValidators, getValidators } = require("../utils/validators")
+const { isISOTimestamp } = require("../utils/timestamp")
+const { canonicalize } = require("../utils/canonical")
+const {
+  PEERS,
+  NODE_URL,
+  GENESIS_FILE,
+  PEER_SYNC_BATCH_SIZE,
+} = require("../config/peers")
+
+const getPeerStatus = async (req, res) => {
+  const latestBlock = await getLatestBlock()
+  const genesisBlock = await BlockModel.findOne({
+    blockId: 0,
+    status: "inChain",
+  }).select("genesis")
+  res.status(200).json({
+    node: NODE_URL,
+    network:
+      genesisBlock && genesisBlock.genesis
+        ? genesisBlock.genesis.network
+        : null,
+    peers: PEERS,
+    blockId: latestBlock ? latestBlock.blockId : null,
+    hash: latestBlock ? latestBlock.hash : null,
+  })
+}
+
+const getPeerBlocks = async (req, res) => {
+  const from = parseInt(req.query.from) || 0
+
+  const blocks = await BlockModel.find({
+    status: "inChain",
+    blockId: { $gte: from },
+  })
+    .sort({ blockId: 1 })
+    .limit(PEER_SYNC_BATCH_SIZE)
+  res.status(200).json({ blocks })
+}
+
+const receiveBlock = async (req, res) => {
+  const { block, peer } = req.body
+
+  if (!block || typeof block.blockId !== "number") {
+    throw new BadRequestError("Please provide the block")
+  }
+
+  const latestBlock = await getLatestBlock()
+  const nextBlockId = latestBlock ? latestBlock.blockId + 1 : 0
+
+  // the sender is ahead of this node, fetch everything that is missing
+  if (block.blockId > nextBlockId) {
+    if (!PEERS.includes(peer)) {
+      throw new BadRequestError(
+        `Block ${block.blockId} does not extend the chain, expected block ${nextBlockId}`
+      )
+    }
+    const appended = await syncWithPeer(peer)
+    return res
+      .status(200)
+      .json({ msg: `Caught up ${appended} blocks from ${peer}` })
+  }
+
+  const appended = await acceptBlocks([block])
+  res.status(200).json({
+    msg: appended
+      ? `Block ${block.blockId} appended to the chain`
+      : `Block ${block.blockId} is already in the chain`,
+  })
+}
+
+async function getLatestBlock() {
+  return BlockModel.findOne({ status: "inChain" }).sort({ blockId: -1 })
+}
+
+// Appends blocks received from a peer, sorted by blockId, after checking that
+// they extend the local chain and pass every chain validity check. Blocks the
+// node already has are skipped, a different block at the same height is a
+// fork and the whole batch is rejected. Returns the number of new blocks.
+async function acceptBlocks(blocks) {
+  const latestBlock = await getLatestBlock()
+
+  for (const block of blocks) {
+    if (latestBlock && block.blockId <= latestBlock.blockId) {
+      const existingBlock = await BlockModel.findOne({
+        blockId: block.blockId,
+        status: "inChain",
+      })
+      if (!existingBlock || existingBlock.hash !== block.hash) {
+        throw new ConflictError(
+          `Block ${block.blockId} forks the chain, it does not match the local block`
+        )
+      }
+    }
+  }
+
+  const newBlocks = blocks
+    .filter((block) => !latestBlock || block.blockId > latestBlock.blockId)
+    .map((block) => toStoredBlock(block))
+  if (newBlocks.length === 0) {
+    return 0
+  }
+
+  // validating from the local tip checks the link of the first new block, the
+  // votes are checked against the validators of the local genesis block or,
+  // for a node adopting a chain, of the configured genesis
+  const validators = latestBlock
+    ? await getValidators()
+    : getGenesisValidators({ genesis: checkAdoptedGenesis(newBlocks[0]) }) ||
+      (await getValidators())
+  const chain = latestBlock ? [latestBlock, ...newBlocks] : newBlocks
+  const previousNonces = latestBlock
+    ? await getChainNonces(latestBlock.blockId)
+    : []
+  const report = validateBlocks(chain, validators, null, previousNonces)
+  if (!report.isValid) {
+    const failedBlock = report.blocks.find((block) => !block.isValid)
+    throw new ConflictError(
+      `Rejected block ${failedBlock.blockId}: ${failedBlock.errors
+        .map((error) => error.message)
+        .join(", ")}`
+    )
+  }
+
+  for (const block of newBlocks) {
+    await BlockModel.create(block)
+    await storeBlockRecords(block)
+  }
+
+  // an adopted genesis block brings the consensus parameters of the network
+  if (newBlocks[0].blockId === 0) {
+    await loadGenesis()
+  }
+
+  // a node that adopted the chain of its peers still needs a block to collect
+  // its own records in
+  await fillHibernatingBlocks()
+  return newBlocks.length
+}
+
+// A node without a chain only adopts one starting with the genesis of its own
+// configuration, never the validators a peer puts in its genesis block.
+// Returns the configured genesis.
+function checkAdoptedGenesis(genesisBlock) {
+  if (!GENESIS_FILE) {
+    throw new ConflictError(
+      "This node has no chain, set GENESIS_FILE to adopt the chain of its peers"
+    )
+  }
+  const genesis = readGenesisFile(GENESIS_FILE)
+  if (
+    genesisBlock.blockId !== 0 ||
+    !genesisBlock.genesis ||
+    canonicalize(genesisBlock.genesis) !== canonicalize(genesis)
+  ) {
+    throw new ConflictError(
+      `The chain of the peer does not start with the genesis of network ${genesis.network}`
+    )
+  }
+  return genesis
+}
+
+// Blocks arrive as JSON, restore the types used by blocks sealed locally.
+// The _id is kept as validators signed their votes over it, and embedded
+// records of old blocks keep their locale timestamp strings.
+function toStoredBlock(block) {
+  return {
+    _id: new mongoose.Types.ObjectId(block._id),
+    blockId: block.blockId,
+    prevHash: block.prevHash,
+    hash: block.hash,
+    merkleRoot: block.merkleRoot,
+    hashVersion: block.hashVersion,
+    validatorCount: block.validatorCount,
+    validators: block.validators,
+    genesis: block.genesis,
+    timestamp: new Date(block.timestamp),
+    legacyTimestamp: block.legacyTimestamp,
+    records: (block.records || []).map((record) => ({
+      ...record,
+      _id: new mongoose.Types.ObjectId(record._id),
+      timestamp: isISOTimestamp(record.timestamp)
+        ? new Date(record.timestamp)
+        : record.timestamp,
+    })),
+    approvedBy: block.approvedBy,
+    rejectedBy: block.rejectedBy,
+    votes: block.votes || [],
+    status: "inChain",
+  }
+}
+
+// Keeps the transaction and supply-chain collections, used by the history and
+// product search pages, in line with the records of a replicated block
+async function storeBlockRecords(block) {
+  for (const record of block.records) {
+    const { _id, status, ...content } = record
+    const model = "amount" in record ? TransactionModel : SupplyChainModel
+    try {
+      await model.updateOne(
+        { _id },
+        { $set: { status: "inChain" }, $setOnInsert: content },
+        { upsert: true }
+      )
+      await syncAccountNonce(record)
+    } catch (error) {
+      console.log(`Could not store record ${_id} of block ${block.blockId}`)
+      console.log(error.message)
+    }
+  }
+}
+
+// Pulls every block the peer has beyond the local chain
+async function syncWithPeer(peer) {
+  let appended = 0
+  while (true) {
+    const latestBlock = await getLatestBlock()
+    const from = latestBlock ? latestBlock.blockId + 1 : 0
+    const { blocks } = await fetchPeerBlocks(peer, from)
+    if (!blocks || blocks.length === 0) {
+      return appended
+    }
+
+    const accepted = await acceptBlocks(blocks)
+    if (accepted === 0) {
+      return appended
+    }
+    appended += accepted
+  }
+}
+
+async function syncWithPeers() {
+  for (const peer of PEERS) {
+    try {
+      const appended = await syncWithPeer(peer)
+      if (appended > 0) {
+        console.log(`Appended ${appended} blocks from ${peer}`)
+      }
+    } catch (error) {
+      console.log(`Could not sync with ${peer}:`, error.message)
+    }
+  }
+}
+
+module.exports = {
+  getPeerStatus,
+  getPeerBlocks,
+  receiveBlock,
+  syncWithPeers,
+}
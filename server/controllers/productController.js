@@ -1,32 +1,49 @@
 const ProductModel = require("../models/product")
 const SupplyChainModel = require("../models/supplychain")
 const { NotFoundError } = require("../errors")
+const { getRecordInputs } = require("../utils/batches")
+const { hasValidCheckDigit } = require("../utils/identifiers")
+const { ID_CHECK_DIGITS } = require("../config/identifiers")
 
+// Walks the input batches upstream from the batch that created the product.
+// A blended batch has several inputs and a split batch is reached from several
+// records, so the records form a DAG: record lists every batch once, nearest
+// stage first, and edges the quantities taken from one batch by another.
 const searchProduct = async (req, res) => {
   const { id: productId } = req.params
-  let FIRST_STAGE = false
-  let record = []
 
   const product = await ProductModel.findOne({ productId: productId })
   if (!product) {
-    throw new NotFoundError(`No item with id ${productId}`)
+    // most likely a misread barcode or a typo when the check digit is wrong
+    throw new NotFoundError(
+      ID_CHECK_DIGITS && !hasValidCheckDigit(productId)
+        ? `No item with id ${productId}, its check digit does not match so it was probably misread or mistyped`
+        : `No item with id ${productId}`
+    )
   }
 
-  let tracing = await SupplyChainModel.findOne({
-    batchId: product.prevBatchId,
-  })
+  const record = []
+  const edges = []
+  const visited = new Set([product.prevBatchId])
+  let batchIds = [product.prevBatchId]
 
-  while (!FIRST_STAGE) {
-    record.push(tracing)
-    tracing = await SupplyChainModel.findOne({
-      batchId: tracing.previousBatchId,
-    })
-    if (tracing.previousBatchId == "") {
-      record.push(tracing)
-      FIRST_STAGE = true
+  while (batchIds.length > 0) {
+    const batches = await SupplyChainModel.find({ batchId: { $in: batchIds } })
+    batchIds = []
+
+    for (const batch of batches) {
+      record.push(batch)
+
+      for (const { batchId, name, quantity } of getRecordInputs(batch)) {
+        edges.push({ from: batchId, to: batch.batchId, name, quantity })
+        if (!visited.has(batchId)) {
+          visited.add(batchId)
+          batchIds.push(batchId)
+        }
+      }
     }
   }
-  res.status(200).json({ msg: "Record", product, record })
+  res.status(200).json({ msg: "Record", product, record, edges })
 }
 
 module.exports = {
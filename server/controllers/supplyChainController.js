@@ -1,14 +1,42 @@
 const SupplyChainModel = require("../models/supplychain")
 const UserModel = require("../models/user")
-const BlockModel = require("../models/block")
 const TransactionModel = require("../models/transaction")
 const ProductModel = require("../models/product")
 const { NotFoundError, BadRequestError } = require("../errors")
 const EC = require("elliptic").ec
 const ec = new EC("secp256k1")
 const { createHash } = require("crypto")
-const CONSENSUS_THRESHOLD = 0.66
-const MAX_RECORD = 2
+const { isISOTimestamp, getSignedTimestamp } = require("../utils/timestamp")
+const { createVote } = require("../utils/votes")
+const { getValidators, getVotingValidator } = require("../utils/validators")
+const {
+  verifyAcknowledgement,
+  findDiscrepancies,
+  createAcknowledgement,
+} = require("../utils/acknowledgements")
+const { decide } = require("../consensus")
+const { fillHibernatingBlocks } = require("../utils/mempool")
+const { runAtomically } = require("../utils/atomic")
+const { claimNonce } = require("../utils/nonces")
+const { checkMassBalance } = require("../utils/massBalance")
+const {
+  issueBatchId,
+  claimBatchId,
+  generateProductIds,
+  isValidBatchId,
+} = require("../utils/identifiers")
+const { hasInputs, getBatchBalance, claimInputs } = require("../utils/batches")
+const {
+  getCatalogue,
+  getStage,
+  getStageOfBatch,
+  getBatchPrefixRegExp,
+} = require("../utils/catalogue")
+const {
+  HASH_VERSION,
+  canonicalize,
+  isLegacyHashVersion,
+} = require("../utils/canonical")
 
 const getPendingRecords = async (req, res) => {
   const { username } = req.user
@@ -21,6 +49,70 @@ const getPendingRecords = async (req, res) => {
   res.status(200).json({ records })
 }
 
+// Records sent to the user that wait for their acknowledgement, with the hash
+// the receiver countersigns
+const getPendingAcknowledgements = async (req, res) => {
+  const { userID } = req.user
+
+  const user = await UserModel.findOne({ _id: userID })
+  const records = await SupplyChainModel.find({
+    status: "Unacknowledged",
+    toAddress: user.publicKey,
+  }).sort({ timestamp: 1 })
+
+  res.status(200).json({
+    records: records.map((record) => ({
+      ...record.toObject(),
+      hash: getRecordHash(record),
+    })),
+  })
+}
+
+const acknowledgeRecord = async (req, res) => {
+  const { id: recordID } = req.params
+  const { username } = req.user
+
+  const record = await SupplyChainModel.findOne({ _id: recordID })
+  if (!record) {
+    throw new NotFoundError(`No supply-chain record with id ${recordID}`)
+  }
+
+  const receiver = await UserModel.findOne({ username })
+  if (receiver.publicKey !== record.toAddress) {
+    throw new BadRequestError("Only the receiver can acknowledge this record")
+  }
+  if (record.status !== "Unacknowledged") {
+    throw new BadRequestError("This record has already been acknowledged")
+  }
+
+  const acknowledgement = createAcknowledgement(
+    receiver,
+    record,
+    getRecordHash(record),
+    req.body
+  )
+  const discrepancies = findDiscrepancies(
+    record.products,
+    acknowledgement.receivedProducts
+  )
+
+  const acknowledgedRecord = await SupplyChainModel.findOneAndUpdate(
+    { _id: recordID, status: "Unacknowledged" },
+    { acknowledgement, discrepancies, status: "Pending" },
+    { new: true }
+  )
+  if (!acknowledgedRecord) {
+    throw new BadRequestError("This record has already been acknowledged")
+  }
+
+  res.status(200).json({
+    msg: discrepancies.length
+      ? "Handover acknowledged with discrepancies, the validators will see them"
+      : "Handover acknowledged, the record goes to the validators",
+    record: acknowledgedRecord,
+  })
+}
+
 const getRecord = async (req, res) => {
   const { id: recordID } = req.params
 
@@ -32,54 +124,20 @@ const getRecord = async (req, res) => {
   res.status(200).json({ record })
 }
 
+// Batches of the upstream stage of the role in the catalogue
 const getPreviousBatches = async (req, res) => {
   const { role } = req.user
 
+  const catalogue = await getCatalogue()
+  const stage = getStage(catalogue, role)
+  const inputStage = stage && getStage(catalogue, stage.inputStage)
+
   let previousBatches = []
 
-  if (role === "Miller") {
-    previousBatches = await SupplyChainModel.find({
-      $and: [
-        { batchId: /^PL/ },
-        {
-          $or: [
-            { status: "Approved" },
-            { status: "inBlock" },
-            { status: "inChain" },
-          ],
-        },
-      ],
-    })
-  } else if (role === "Refiner") {
+  if (inputStage) {
     previousBatches = await SupplyChainModel.find({
       $and: [
-        { batchId: /^MI/ },
-        {
-          $or: [
-            { status: "Approved" },
-            { status: "inBlock" },
-            { status: "inChain" },
-          ],
-        },
-      ],
-    })
-  } else if (role === "WarehouseManager") {
-    previousBatches = await SupplyChainModel.find({
-      $and: [
-        { batchId: /^RE/ },
-        {
-          $or: [
-            { status: "Approved" },
-            { status: "inBlock" },
-            { status: "inChain" },
-          ],
-        },
-      ],
-    })
-  } else if (role === "Retailer") {
-    previousBatches = await SupplyChainModel.find({
-      $and: [
-        { batchId: /^WA/ },
+        { batchId: getBatchPrefixRegExp(inputStage) },
         {
           $or: [
             { status: "Approved" },
@@ -93,27 +151,42 @@ const getPreviousBatches = async (req, res) => {
 
   let filteredPreviousBatches = []
 
+  // batches split between records stay listed as long as something remains
   for (batch of previousBatches) {
-    const alreadyBeenUsed = await SupplyChainModel.findOne({
-      previousBatchId: batch.batchId,
-    })
+    const balance = await getBatchBalance(batch)
 
-    if (!alreadyBeenUsed) {
-      filteredPreviousBatches.push(batch)
+    if (balance.some(({ remaining }) => remaining > 0)) {
+      filteredPreviousBatches.push({ ...batch.toObject(), balance })
     }
   }
 
   res.status(200).json({ filteredPreviousBatches })
 }
 
+const getNextBatchId = async (req, res) => {
+  const { role, username } = req.user
+
+  const stage = getStage(await getCatalogue(), role)
+  if (!stage) {
+    throw new BadRequestError("Your role has no supply chain stage")
+  }
+
+  const batchId = await issueBatchId(stage, username)
+  res.status(200).json({ batchId })
+}
+
 const createRecord = async (req, res) => {
   const {
     fromAddress,
-    privateKey,
     toAddress,
     products,
-    prevBatchId,
+    batchId,
+    inputs,
     transactionId,
+    timestamp,
+    nonce,
+    signature,
+    hashVersion,
   } = req.body
   const { role, username } = req.user
 
@@ -154,46 +227,106 @@ const createRecord = async (req, res) => {
     throw new BadRequestError("This transaction receipt is invalid")
   }
 
-  //Only planter is allowed to have a null previous batch ID
-  if (role !== "Planter") {
-    const previousBatch = await SupplyChainModel.findOne({
-      batchId: prevBatchId,
-    })
+  const catalogue = await getCatalogue()
+  const stage = getStage(catalogue, role)
+  if (!stage) {
+    throw new BadRequestError("Your role has no supply chain stage")
+  }
 
-    if (!previousBatch) {
-      throw new NotFoundError("The previous batch ID cannot be found")
-    }
+  // only the first stage takes no input batches
+  if (!stage.inputStage && inputs && inputs.length > 0) {
+    throw new BadRequestError(
+      `The ${role} stage does not take batches from another stage`
+    )
+  }
 
-    if (previousBatch.status === "Rejected") {
-      throw new BadRequestError("Invalid previous batch ID")
-    }
+  if (!isValidBatchId(batchId, stage)) {
+    throw new BadRequestError("Invalid batch ID for your supply chain role")
+  }
+
+  const unknownProduct = (products || []).find(
+    ({ name }) => !stage.products.includes(name)
+  )
+  if (unknownProduct) {
+    throw new BadRequestError(
+      `${unknownProduct.name} is not a product of the ${role} stage`
+    )
+  }
+  // a negative quantity would pass as a low yield and offset the other
+  // products in the total mass balance
+  if (
+    (products || []).some(
+      ({ quantity }) =>
+        !Number.isFinite(Number(quantity)) || !(Number(quantity) > 0)
+    )
+  ) {
+    throw new BadRequestError("Product quantities have to be positive")
+  }
+
+  if (!isISOTimestamp(timestamp)) {
+    throw new BadRequestError(
+      "Please provide the signing timestamp as an ISO-8601 string"
+    )
+  }
+
+  if (Number(hashVersion) !== HASH_VERSION) {
+    throw new BadRequestError(
+      "Unsupported signature format, please update your client"
+    )
   }
 
-  const key = ec.keyFromPrivate(privateKey)
-  const batchID = await SupplyChainModel.collection.countDocuments()
-  const batchId = role.substring(0, 2).toUpperCase() + batchID
-  const timestamp = new Date().toLocaleString("en-GB")
-  req.body.products = products
-  req.body.batchId = batchId
-  req.body.previousBatchId = prevBatchId
-  req.body.transactionReceipt = transactionId
-  req.body.timestamp = timestamp
-  req.body.signature = signRecord(
-    key,
+  // the record is signed on the client, only the signature is received
+  const recordData = {
     fromAddress,
     toAddress,
-    products,
+    products: (products || []).map(({ name, quantity }) => ({
+      name,
+      quantity: Number(quantity),
+    })),
     batchId,
-    prevBatchId,
-    transactionId,
-    timestamp
-  )
-  req.body.createdBy = username
+    previousBatchId: "",
+    inputs: (inputs || []).map(({ batchId, name, quantity }) => ({
+      batchId,
+      name,
+      quantity: Number(quantity),
+    })),
+    transactionReceipt: transactionId,
+    timestamp,
+    nonce: Number(nonce),
+    signature,
+    hashVersion: HASH_VERSION,
+    createdBy: username,
+  }
+
+  if (!checkRecordValidity(recordData)) {
+    throw new BadRequestError("Invalid signature for this supply-chain record")
+  }
+
+  const record = await runAtomically(async (session) => {
+    await claimNonce(sender, recordData.nonce, session)
+    await claimBatchId(batchId, username, session)
+
+    let massBalance = null
+    if (stage.inputStage) {
+      const claims = await claimInputs(
+        catalogue,
+        stage,
+        recordData.inputs,
+        session
+      )
+      massBalance = checkMassBalance(stage, claims, recordData.products)
+    }
 
-  const record = await SupplyChainModel.create(req.body)
-  res
-    .status(201)
-    .json({ msg: "Supply-chain record is created successfully", record })
+    const [record] = await SupplyChainModel.create(
+      [{ ...recordData, massBalance, status: "Unacknowledged" }],
+      { session }
+    )
+    return record
+  })
+  res.status(201).json({
+    msg: "Supply-chain record is created, it waits for the receiver to acknowledge it",
+    record,
+  })
 }
 
 const validateRecord = async (req, res) => {
@@ -205,12 +338,12 @@ const validateRecord = async (req, res) => {
   }
 
   const isValid = checkRecordValidity(record)
-  res.status(200).json({ isValid })
+  res.status(200).json({ isValid, hash: getRecordHash(record) })
 }
 
 const approveRecord = async (req, res) => {
   const { id: recordID } = req.params
-  const { isApproved } = req.body
+  const { isApproved, timestamp, signature } = req.body
   const { username } = req.user
 
   // check if validators approved before
@@ -227,20 +360,37 @@ const approveRecord = async (req, res) => {
     )
   }
 
-  let record = await SupplyChainModel.findOneAndUpdate(
+  let record = await SupplyChainModel.findOne({ _id: recordID })
+  if (!record) {
+    throw new NotFoundError(`No supply-chain record with id ${recordID}`)
+  }
+
+  if (record.status === "Unacknowledged") {
+    throw new BadRequestError(
+      "The receiver has not acknowledged this supply-chain record yet"
+    )
+  }
+
+  const validator = await getVotingValidator(username)
+  const vote = createVote(
+    validator,
+    isApproved,
+    getRecordHash(record),
+    timestamp,
+    signature
+  )
+
+  record = await SupplyChainModel.findOneAndUpdate(
     { _id: recordID },
     {
       $addToSet: isApproved
         ? { approvedBy: username }
         : { rejectedBy: username },
+      $push: { votes: vote },
     },
     { new: true }
   )
 
-  if (!record) {
-    throw new NotFoundError(`No supply-chain record with id ${recordID}`)
-  }
-
   record = await recordConsensus(record, recordID)
 
   let message
@@ -248,51 +398,28 @@ const approveRecord = async (req, res) => {
     ? (message = "You have approved this supply-chain record")
     : (message = "You have rejected this supply-chain record")
 
-  if (record.batchId.substring(0, 2) === "WA") {
+  const stage = getStageOfBatch(await getCatalogue(), record.batchId)
+  if (stage && stage.createsProducts) {
     if (record.status === "Approved" || record.status === "inBlock") {
-      for (i = 0; i < record.products.length; i++) {
-        for (j = 0; j < record.products[i].quantity; j++) {
-          await ProductModel.create({
-            productName: record.products[i].name,
-            productId: await ProductModel.collection.countDocuments(),
-            prevBatchId: record.batchId,
-            timestamp: new Date().toLocaleString("en-GB"),
-          })
-        }
-      }
+      // one product per unit of every product of the record
+      const productNames = record.products.flatMap(({ name, quantity }) =>
+        Array.from({ length: Math.ceil(quantity) }, () => name)
+      )
+      const productIds = await generateProductIds(productNames.length)
+      await ProductModel.insertMany(
+        productNames.map((productName, index) => ({
+          productName,
+          productId: productIds[index],
+          prevBatchId: record.batchId,
+          timestamp: new Date(),
+        }))
+      )
     }
   }
 
   res.status(200).json({ msg: message, transaction: record })
 }
 
-function signRecord(
-  signingKey,
-  fromAddress,
-  toAddress,
-  product,
-  batchId,
-  prevBatchId,
-  transactionReceipt,
-  timestamp
-) {
-  if (signingKey.getPublic("hex") !== fromAddress) {
-    throw new BadRequestError("Private and Public key do not match!")
-  }
-
-  const hashRecord = computeRecordHash(
-    fromAddress,
-    toAddress,
-    product,
-    batchId,
-    prevBatchId,
-    transactionReceipt,
-    timestamp
-  )
-  const sign = signingKey.sign(hashRecord, "base64")
-  return sign.toDER("hex")
-}
-
 function computeRecordHash(
   fromAddress,
   toAddress,
@@ -300,22 +427,45 @@ function computeRecordHash(
   batchId,
   prevBatchId,
   transactionReceipt,
-  timestamp
+  timestamp,
+  hashVersion,
+  nonce,
+  inputs
 ) {
-  return createHash("sha256")
-    .update(
-      fromAddress +
-        toAddress +
-        JSON.stringify(products) +
-        batchId +
-        prevBatchId +
-        transactionReceipt +
-        timestamp
-    )
-    .digest("hex")
+  const payload = isLegacyHashVersion(hashVersion)
+    ? fromAddress +
+      toAddress +
+      JSON.stringify(products) +
+      batchId +
+      prevBatchId +
+      transactionReceipt +
+      timestamp
+    : canonicalize({
+        fromAddress,
+        toAddress,
+        products: products.map(({ name, quantity }) => ({
+          name,
+          quantity: Number(quantity),
+        })),
+        batchId,
+        prevBatchId: prevBatchId || "",
+        inputs:
+          inputs &&
+          inputs.map(({ batchId, name, quantity }) => ({
+            batchId,
+            name,
+            quantity: Number(quantity),
+          })),
+        transactionReceipt: transactionReceipt.toString(),
+        timestamp,
+        nonce,
+        hashVersion,
+      })
+  return createHash("sha256").update(payload).digest("hex")
 }
 
-function checkRecordValidity(record) {
+// Hash of the signed content of a stored supply-chain record
+function getRecordHash(record) {
   const {
     fromAddress,
     toAddress,
@@ -323,69 +473,74 @@ function checkRecordValidity(record) {
     batchId,
     previousBatchId,
     transactionReceipt,
-    timestamp,
-    signature,
+    hashVersion,
+    nonce,
   } = record
 
   const parsedTransactionReceipt = transactionReceipt.toString().match([])
   const transactionReceiptId = parsedTransactionReceipt.input
 
+  return computeRecordHash(
+    fromAddress,
+    toAddress,
+    products,
+    batchId,
+    previousBatchId,
+    transactionReceiptId,
+    getSignedTimestamp(record),
+    hashVersion,
+    // records signed before nonces store none
+    nonce === null ? undefined : nonce,
+    hasInputs(record) ? record.inputs : undefined
+  )
+}
+
+function checkRecordValidity(record) {
+  const { fromAddress, signature } = record
+
   if (!signature || signature.length === 0) {
     throw new BadRequestError("No signature in this supply-chain record")
   }
 
   const publicKey = ec.keyFromPublic(fromAddress, "hex")
-  return publicKey.verify(
-    computeRecordHash(
-      fromAddress,
-      toAddress,
-      products,
-      batchId,
-      previousBatchId,
-      transactionReceiptId,
-      timestamp
-    ),
-    signature
+  return publicKey.verify(getRecordHash(record), signature)
+}
+
+// Records handed over before acknowledgements carry none
+function checkAcknowledgementValidity(record) {
+  const { acknowledgement } = record
+  if (!acknowledgement) {
+    return true
+  }
+
+  return (
+    acknowledgement.publicKey === record.toAddress &&
+    verifyAcknowledgement(acknowledgement, getRecordHash(record))
   )
 }
 
 async function recordConsensus(record, id) {
   // only do consensus if consensus have not reached
   if (record.status === "Pending") {
-    const validators = await UserModel.find({ role: "Validator" })
-
-    const approvedPercentage =
-      record.approvedBy.length / parseFloat(validators.length)
-
-    const rejectedPercentage =
-      record.rejectedBy.length / parseFloat(validators.length)
-
-    if (approvedPercentage >= CONSENSUS_THRESHOLD) {
-      record = await SupplyChainModel.findOneAndUpdate(
-        { _id: id },
-        { status: "Approved" },
-        { new: true }
-      )
+    const validators = await getValidators()
+    const decision = decide({
+      approvedBy: record.approvedBy,
+      rejectedBy: record.rejectedBy,
+      validators,
+    })
 
-      const hibernatingBlock = await BlockModel.findOne({
-        status: "Hibernating",
+    if (decision === "Approved") {
+      // the mempool moves it into the hibernating block when there is room
+      await runAtomically(async (session) => {
+        await SupplyChainModel.updateOne(
+          { _id: id, status: "Pending" },
+          { status: "Approved", approvedAt: new Date() },
+          { session }
+        )
+        await fillHibernatingBlocks(session)
       })
-
-      // only push records to hibernating block, not pending block
-      if (hibernatingBlock) {
-        if (hibernatingBlock.records.length < MAX_RECORD) {
-          record = await SupplyChainModel.findOneAndUpdate(
-            { _id: id },
-            { status: "inBlock" },
-            { new: true }
-          )
-          await hibernatingBlock.updateOne({
-            $addToSet: { records: record },
-            timestamp: new Date().toLocaleString("en-GB"),
-          })
-        }
-      }
-    } else if (rejectedPercentage >= CONSENSUS_THRESHOLD) {
+      record = await SupplyChainModel.findOne({ _id: id })
+    } else if (decision === "Rejected") {
       record = await SupplyChainModel.findOneAndUpdate(
         { _id: id },
         { status: "Rejected" },
@@ -398,11 +553,16 @@ async function recordConsensus(record, id) {
 
 module.exports = {
   getPendingRecords,
+  getPendingAcknowledgements,
+  acknowledgeRecord,
   getRecord,
   getPreviousBatches,
+  getNextBatchId,
   createRecord,
   validateRecord,
   approveRecord,
   checkRecordValidity,
+  checkAcknowledgementValidity,
   computeRecordHash,
+  getRecordHash,
 }
@@ -1,12 +1,22 @@
 const TransactionModel = require("../models/transaction")
 const UserModel = require("../models/user")
-const BlockModel = require("../models/block")
 const { NotFoundError, BadRequestError } = require("../errors")
 const EC = require("elliptic").ec
 const ec = new EC("secp256k1")
 const { createHash } = require("crypto")
-const CONSENSUS_THRESHOLD = 0.66
-const MAX_RECORD = 2
+const { isISOTimestamp, getSignedTimestamp } = require("../utils/timestamp")
+const { createVote } = require("../utils/votes")
+const { getValidators, getVotingValidator } = require("../utils/validators")
+const { decide } = require("../consensus")
+const { fillHibernatingBlocks } = require("../utils/mempool")
+const { runAtomically } = require("../utils/atomic")
+const { getBalance } = require("../utils/ledger")
+const { claimNonce } = require("../utils/nonces")
+const {
+  HASH_VERSION,
+  canonicalize,
+  isLegacyHashVersion,
+} = require("../utils/canonical")
 
 const getPendingTransactions = async (req, res) => {
   const { username } = req.user
@@ -32,7 +42,15 @@ const getTransaction = async (req, res) => {
 }
 
 const createTransactions = async (req, res) => {
-  const { fromAddress: from, privateKey, toAddress: to, amount } = req.body
+  const {
+    fromAddress: from,
+    toAddress: to,
+    amount,
+    timestamp,
+    nonce,
+    signature,
+    hashVersion,
+  } = req.body
   const { username } = req.user
 
   const sender = await UserModel.findOne({ publicKey: from })
@@ -58,14 +76,60 @@ const createTransactions = async (req, res) => {
     )
   }
 
-  const key = ec.keyFromPrivate(privateKey)
-  const timestamp = new Date().toLocaleString("en-GB")
+  if (!isISOTimestamp(timestamp)) {
+    throw new BadRequestError(
+      "Please provide the signing timestamp as an ISO-8601 string"
+    )
+  }
+
+  if (amount === undefined || !Number.isFinite(Number(amount))) {
+    throw new BadRequestError("Please provide a valid transaction amount")
+  }
+
+  if (Number(amount) <= 0) {
+    throw new BadRequestError("The transaction amount has to be positive")
+  }
+
+  if (Number(hashVersion) !== HASH_VERSION) {
+    throw new BadRequestError(
+      "Unsupported signature format, please update your client"
+    )
+  }
+
+  // the transaction is signed on the client, only the signature is received
+  const transactionData = {
+    fromAddress: from,
+    toAddress: to,
+    amount: Number(amount),
+    timestamp,
+    nonce: Number(nonce),
+    signature,
+    hashVersion: HASH_VERSION,
+    createdBy: username,
+  }
+
+  if (!checkTransactionValidity(transactionData)) {
+    throw new BadRequestError("Invalid signature for this transaction")
+  }
+
+  const transaction = await runAtomically(async (session) => {
+    await claimNonce(sender, transactionData.nonce, session)
 
-  req.body.createdBy = req.user.username
-  req.body.timestamp = timestamp
-  req.body.signature = signTransaction(key, from, to, amount, timestamp)
+    // outgoing transactions that are not in the chain yet are reserved. The
+    // nonce is claimed first, its write to the sender account makes
+    // concurrent transactions of the account conflict so each sees the others
+    const { available } = await getBalance(from, session)
+    if (transactionData.amount > available) {
+      throw new BadRequestError(
+        `Insufficient balance, ${available} is available for this transaction`
+      )
+    }
 
-  const transaction = await TransactionModel.create(req.body)
+    const [transaction] = await TransactionModel.create([transactionData], {
+      session,
+    })
+    return transaction
+  })
   res.status(201).json({ transaction })
 }
 
@@ -78,12 +142,12 @@ const validateTransaction = async (req, res) => {
   }
 
   const isValid = checkTransactionValidity(transaction)
-  res.status(200).json({ isValid })
+  res.status(200).json({ isValid, hash: getTransactionHash(transaction) })
 }
 
 const approveTransaction = async (req, res) => {
   const { id: transactionID } = req.params
-  const { isApproved } = req.body
+  const { isApproved, timestamp, signature } = req.body
   const { username } = req.user
 
   // check if validators approved before
@@ -98,20 +162,31 @@ const approveTransaction = async (req, res) => {
     throw new BadRequestError("You have rejected or approved this transaction")
   }
 
-  let transaction = await TransactionModel.findOneAndUpdate(
+  let transaction = await TransactionModel.findOne({ _id: transactionID })
+  if (!transaction) {
+    throw new NotFoundError(`No transaction with id ${transactionID}`)
+  }
+
+  const validator = await getVotingValidator(username)
+  const vote = createVote(
+    validator,
+    isApproved,
+    getTransactionHash(transaction),
+    timestamp,
+    signature
+  )
+
+  transaction = await TransactionModel.findOneAndUpdate(
     { _id: transactionID },
     {
       $addToSet: isApproved
         ? { approvedBy: username }
         : { rejectedBy: username },
+      $push: { votes: vote },
     },
     { new: true }
   )
 
-  if (!transaction) {
-    throw new NotFoundError(`No transaction with id ${transactionID}`)
-  }
-
   transaction = await transactionConsensus(transaction, transactionID)
 
   let message
@@ -122,90 +197,74 @@ const approveTransaction = async (req, res) => {
   res.status(200).json({ msg: message, transaction })
 }
 
-function computeTransactionHash(fromAddress, toAddress, amount, timestamp) {
-  return createHash("sha256")
-    .update(fromAddress + toAddress + amount.toString() + timestamp)
-    .digest("hex")
-}
-
-function signTransaction(
-  signingKey,
+function computeTransactionHash(
   fromAddress,
   toAddress,
   amount,
-  timestamp
+  timestamp,
+  hashVersion,
+  nonce
 ) {
-  if (signingKey.getPublic("hex") !== fromAddress) {
-    throw new BadRequestError("Private and Public key do not match!")
-  }
+  const payload = isLegacyHashVersion(hashVersion)
+    ? fromAddress + toAddress + amount.toString() + timestamp
+    : canonicalize({
+        fromAddress,
+        toAddress,
+        amount: Number(amount),
+        timestamp,
+        nonce,
+        hashVersion,
+      })
+  return createHash("sha256").update(payload).digest("hex")
+}
 
-  const hashTx = computeTransactionHash(
+// Hash of the signed content of a stored transaction
+function getTransactionHash(transaction) {
+  const { fromAddress, toAddress, amount, hashVersion, nonce } = transaction
+  return computeTransactionHash(
     fromAddress,
     toAddress,
     amount,
-    timestamp
+    getSignedTimestamp(transaction),
+    hashVersion,
+    // items signed before nonces store none
+    nonce === null ? undefined : nonce
   )
-  const sign = signingKey.sign(hashTx, "base64")
-  return sign.toDER("hex")
 }
 
 function checkTransactionValidity(transaction) {
-  const {
-    fromAddress: from,
-    toAddress: to,
-    amount,
-    timestamp,
-    signature,
-  } = transaction
+  const { fromAddress: from, signature } = transaction
 
   if (!signature || signature.length === 0) {
     throw new BadRequestError("No signature in this transaction")
   }
 
   const publicKey = ec.keyFromPublic(from, "hex")
-  return publicKey.verify(
-    computeTransactionHash(from, to, amount, timestamp),
-    signature
-  )
+  return publicKey.verify(getTransactionHash(transaction), signature)
 }
 
 async function transactionConsensus(transaction, id) {
   // only do consensus if consensus have not reached
   if (transaction.status === "Pending") {
-    const validators = await UserModel.find({ role: "Validator" })
-
-    const approvedPercentage =
-      transaction.approvedBy.length / parseFloat(validators.length)
-
-    const rejectedPercentage =
-      transaction.rejectedBy.length / parseFloat(validators.length)
-
-    if (approvedPercentage >= CONSENSUS_THRESHOLD) {
-      transaction = await TransactionModel.findOneAndUpdate(
-        { _id: id },
-        { status: "Approved" },
-        { new: true }
-      )
-
-      const hibernatingBlock = await BlockModel.findOne({
-        status: "Hibernating",
+    const validators = await getValidators()
+    const decision = decide({
+      approvedBy: transaction.approvedBy,
+      rejectedBy: transaction.rejectedBy,
+      validators,
+    })
+
+    if (decision === "Approved") {
+      // the mempool moves it into the hibernating block when there is room
+      await runAtomically(async (session) => {
+        await TransactionModel.updateOne(
+          { _id: id, status: "Pending" },
+          { status: "Approved", approvedAt: new Date() },
+          { session }
+        )
+        await fillHibernatingBlocks(session)
       })
-
-      // only push records to hibernating block, not pending block
-      if (hibernatingBlock) {
-        if (hibernatingBlock.records.length < MAX_RECORD) {
-          transaction = await TransactionModel.findOneAndUpdate(
-            { _id: id },
-            { status: "inBlock" },
-            { new: true }
-          )
-          await hibernatingBlock.updateOne({
-            $addToSet: { records: transaction },
-            timestamp: new Date().toLocaleString("en-GB"),
-          })
-        }
-      }
-    } else if (rejectedPercentage >= CONSENSUS_THRESHOLD) {
+      transaction = await TransactionModel.findOne({ _id: id })
+    } else if (decision === "Rejected") {
       transaction = await TransactionModel.findOneAndUpdate(
         { _id: id },
         { status: "Rejected" },
@@ -223,5 +282,6 @@ module.exports = {
   validateTransaction,
   approveTransaction,
   computeTransactionHash,
+  getTransactionHash,
   checkTransactionValidity,
 }
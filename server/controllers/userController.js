@@ -1,6 +1,14 @@
 const UserModel = require("../models/user")
 const TransactionModel = require("../models/transaction")
 const SupplyChainModel = require("../models/supplychain")
+const { encryptKeystore } = require("../utils/keystore")
+const {
+  UNCONFIRMED_STATUSES,
+  getBalance,
+  getStatementEntries,
+} = require("../utils/ledger")
+const { parseDateParam } = require("../utils/timestamp")
+const { BadRequestError, NotFoundError } = require("../errors")
 
 const getAllUsers = async (req, res) => {
   const users = await UserModel.find({}).select("-password -privateKey")
@@ -9,9 +17,53 @@ const getAllUsers = async (req, res) => {
 
 const showCurrentUserProfile = async (req, res) => {
   const { username } = req.user
-  const user = await UserModel.find({ username: username }).select("-password")
+  const user = await UserModel.find({ username: username }).select(
+    "-password -privateKey"
+  )
+
+  // accounts created before the keystore still have a plaintext key stored
+  const hasStoredPrivateKey =
+    (await UserModel.collection.countDocuments({
+      username,
+      privateKey: { $exists: true },
+    })) > 0
+
+  res.status(200).json({ user, hasStoredPrivateKey })
+}
 
-  res.status(200).json({ user })
+const exportStoredPrivateKey = async (req, res) => {
+  const { username } = req.user
+  const { passphrase } = req.body
+
+  if (!passphrase || passphrase.length < 8) {
+    throw new BadRequestError(
+      "Please provide a keystore passphrase of at least 8 characters"
+    )
+  }
+
+  // privateKey is no longer part of the schema, read the raw document
+  const user = await UserModel.collection.findOne({ username })
+  if (!user || !user.privateKey) {
+    throw new BadRequestError(
+      "There is no private key stored on the server for this account"
+    )
+  }
+
+  const keystore = await encryptKeystore(
+    user.privateKey,
+    user.publicKey,
+    passphrase
+  )
+
+  await UserModel.collection.updateOne(
+    { _id: user._id },
+    { $unset: { privateKey: "" } }
+  )
+
+  res.status(200).json({
+    msg: "The private key has been removed from the server",
+    keystore,
+  })
 }
 
 const getUserTransactions = async (req, res) => {
@@ -64,9 +116,83 @@ const getUserRecords = async (req, res) => {
   res.status(200).json({ records })
 }
 
+// Balance of an address derived from the chain, ?includePending=true also
+// counts the transactions that are not in the chain yet
+const getUserBalance = async (req, res) => {
+  const { publicKey } = req.params
+  const includePending = req.query.includePending === "true"
+
+  const user = await UserModel.findOne({ publicKey }).select("username role")
+  if (!user) {
+    throw new NotFoundError(`No user with the address ${publicKey}`)
+  }
+
+  const balance = await getBalance(publicKey)
+  res.status(200).json({
+    username: user.username,
+    ...balance,
+    balance: includePending
+      ? balance.balance + balance.pendingIncoming - balance.pendingOutgoing
+      : balance.balance,
+    includePending,
+  })
+}
+
+// Account statement for reconciliation: the inChain transactions between
+// fromDate and toDate with the running balance, the opening and closing
+// balance of the period and the transactions still waiting for the chain
+const getUserStatement = async (req, res) => {
+  const { publicKey } = req.params
+  const fromDate = parseDateParam(req.query, "fromDate")
+  const toDate = parseDateParam(req.query, "toDate")
+
+  const user = await UserModel.findOne({ publicKey }).select("username role")
+  if (!user) {
+    throw new NotFoundError(`No user with the address ${publicKey}`)
+  }
+
+  const { openingBalance, entries } = await getStatementEntries(publicKey)
+  const earlierEntries = entries.filter(
+    (entry) => fromDate && entry.timestamp < fromDate
+  )
+  const periodEntries = entries.filter(
+    (entry) =>
+      (!fromDate || entry.timestamp >= fromDate) &&
+      (!toDate || entry.timestamp <= toDate)
+  )
+  const periodOpeningBalance =
+    earlierEntries.length > 0
+      ? earlierEntries[earlierEntries.length - 1].balance
+      : openingBalance
+
+  const pending = await TransactionModel.find({
+    $or: [{ fromAddress: publicKey }, { toAddress: publicKey }],
+    status: { $in: UNCONFIRMED_STATUSES },
+  })
+    .sort({ timestamp: 1 })
+    .select("fromAddress toAddress amount timestamp status")
+
+  res.status(200).json({
+    publicKey,
+    username: user.username,
+    fromDate: fromDate || null,
+    toDate: toDate || null,
+    openingBalance: periodOpeningBalance,
+    closingBalance:
+      periodEntries.length > 0
+        ? periodEntries[periodEntries.length - 1].balance
+        : periodOpeningBalance,
+    entries: periodEntries,
+    pending,
+  })
+}
+
 module.exports = {
   getAllUsers,
   showCurrentUserProfile,
+  exportStoredPrivateKey,
   getUserTransactions,
   getUserRecords,
+  getUserBalance,
+  getUserStatement,
 }
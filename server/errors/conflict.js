@@ -0,0 +1,10 @@
+const CustomAPIError = require("./custom-api")
+
+class ConflictError extends CustomAPIError {
+  constructor(message) {
+    super(message)
+    this.statusCode = 409
+  }
+}
+
+module.exports = ConflictError
@@ -1,4 +1,5 @@
 const jwt = require("jsonwebtoken")
+const { PEER_SECRET } = require("../config/peers")
 const { UnauthenticatedError, UnauthorizedError } = require("../errors")
 
 const authenticateUser = async (req, res, next) => {
@@ -29,4 +30,14 @@ const authorizePermissions = (roles) => {
   }
 }
 
-module.exports = { authenticateUser, authorizePermissions }
+// Requests between nodes carry the shared PEER_SECRET instead of a user token
+const authenticatePeer = async (req, res, next) => {
+  const token = req.headers["x-peer-token"]
+
+  if (!PEER_SECRET || token !== PEER_SECRET) {
+    throw new UnauthenticatedError("Not authorized to access this route")
+  }
+  next()
+}
+
+module.exports = { authenticateUser, authorizePermissions, authenticatePeer }
@@ -0,0 +1,49 @@
+const mongoose = require("mongoose")
+
+// Raised by the integrity auditor for a problem in the chain, the alert stays
+// open for as long as the following audits find the same problem
+const alertSchema = new mongoose.Schema(
+  {
+    check: {
+      type: String,
+      required: [true, "Please provide the failed check"],
+    },
+    message: {
+      type: String,
+      required: [true, "Please provide the alert message"],
+    },
+    blockId: {
+      type: Number,
+      default: null,
+    },
+    recordId: {
+      type: String,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["Open", "Resolved"],
+      default: "Open",
+    },
+    raisedAt: {
+      type: Date,
+      required: [true, "Please provide the time the alert was raised"],
+    },
+    lastSeenAt: {
+      type: Date,
+      default: null,
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+    // audits which found the problem
+    audits: {
+      type: Array,
+      default: [],
+    },
+  },
+  { versionKey: false }
+)
+
+module.exports = mongoose.model("Alert", alertSchema)
@@ -0,0 +1,40 @@
+const mongoose = require("mongoose")
+
+// One run of the background integrity auditor
+const auditSchema = new mongoose.Schema(
+  {
+    startedAt: {
+      type: Date,
+      required: [true, "Please provide the start time"],
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+    isValid: {
+      type: Boolean,
+      default: null,
+    },
+    checkedBlocks: {
+      type: Number,
+      default: 0,
+    },
+    checkedRecords: {
+      type: Number,
+      default: 0,
+    },
+    // check, message, blockId and recordId of every problem found
+    findings: {
+      type: Array,
+      default: [],
+    },
+    // set when the audit itself failed, e.g. the database was unreachable
+    error: {
+      type: String,
+      default: null,
+    },
+  },
+  { versionKey: false }
+)
+
+module.exports = mongoose.model("Audit", auditSchema)
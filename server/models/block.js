@@ -26,18 +26,38 @@ const blockSchema = new mongoose.Schema(
         partialFilterExpression: { prevHash: { $type: "string" } },
       },
     },
-    timestamp: {
+    merkleRoot: {
       type: String,
+      default: null,
+    },
+    hashVersion: {
+      type: Number,
+      default: null,
+    },
+    timestamp: {
+      type: Date,
       required: [true, "Please provide the timestamp"],
     },
+    legacyTimestamp: {
+      type: String,
+    },
     records: {
       type: Array,
       default: [],
     },
+    lastActivity: {
+      type: Date,
+      default: null,
+    },
     status: {
       type: String,
       enum: ["Pending", "Approved", "Rejected", "inChain", "Hibernating"],
       default: "Hibernating",
+      // a single hibernating block collects the records from the mempool
+      index: {
+        unique: true,
+        partialFilterExpression: { status: "Hibernating" },
+      },
     },
     approvedBy: {
       type: Array,
@@ -45,8 +65,34 @@ const blockSchema = new mongoose.Schema(
     rejectedBy: {
       type: Array,
     },
+    votes: {
+      type: Array,
+      default: [],
+    },
+    validatorCount: {
+      type: Number,
+      default: null,
+    },
+    // usernames and public keys of the validators deciding the block, its
+    // votes are verified against them
+    validators: {
+      type: Array,
+      default: null,
+    },
+    // network configuration hashed into block 0, see utils/genesis.js
+    genesis: {
+      type: Object,
+      default: null,
+    },
+    // rejectedAt, rejectedBy, flaggedRecords and requeuedRecords of every
+    // rejection of this block
+    rejections: {
+      type: Array,
+      default: [],
+    },
   },
-  { versionKey: false }
+  // empty objects of the genesis configuration are covered by its hash
+  { versionKey: false, minimize: false }
 )
 
 module.exports = mongoose.model("Block", blockSchema)
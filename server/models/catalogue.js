@@ -0,0 +1,34 @@
+const mongoose = require("mongoose")
+
+// The commodity catalogue and the supply chain stages, see utils/catalogue.js.
+// There is a single catalogue document.
+const catalogueSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: "catalogue",
+      unique: true,
+    },
+    products: {
+      type: [String],
+      default: [],
+    },
+    // role, batchPrefix, products, inputStage, createsProducts, conversions
+    // and yieldTolerance of every stage
+    stages: {
+      type: Array,
+      default: [],
+    },
+    updatedAt: {
+      type: Date,
+      default: null,
+    },
+    updatedBy: {
+      type: String,
+      default: null,
+    },
+  },
+  { versionKey: false }
+)
+
+module.exports = mongoose.model("Catalogue", catalogueSchema)
@@ -0,0 +1,41 @@
+const mongoose = require("mongoose")
+
+// A block of the chain which has been validated, up to which later
+// validations trust the chain once the validators have signed it
+const checkpointSchema = new mongoose.Schema(
+  {
+    blockId: {
+      type: Number,
+      required: [true, "Please provide the block ID"],
+      unique: true,
+    },
+    hash: {
+      type: String,
+      required: [true, "Please provide the block hash"],
+    },
+    timestamp: {
+      type: Date,
+      required: [true, "Please provide the timestamp"],
+    },
+    status: {
+      type: String,
+      enum: ["Pending", "Signed"],
+      default: "Pending",
+    },
+    approvedBy: {
+      type: Array,
+      default: [],
+    },
+    votes: {
+      type: Array,
+      default: [],
+    },
+    signedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { versionKey: false }
+)
+
+module.exports = mongoose.model("Checkpoint", checkpointSchema)
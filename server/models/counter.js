@@ -0,0 +1,18 @@
+const mongoose = require("mongoose")
+
+// Sequence behind a kind of identifier, e.g. the batch IDs of one prefix, see
+// utils/identifiers.js
+const counterSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { versionKey: false }
+)
+
+module.exports = mongoose.model("Counter", counterSchema)
@@ -0,0 +1,22 @@
+const mongoose = require("mongoose")
+
+// A batch ID handed out to a user for the record they are about to sign,
+// removed when the record is created, see utils/identifiers.js
+const issuedBatchIdSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+    },
+    username: {
+      type: String,
+      required: [true, "Please provide the username the ID is issued to"],
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { versionKey: false }
+)
+
+module.exports = mongoose.model("IssuedBatchId", issuedBatchIdSchema)
@@ -4,8 +4,8 @@ const itemSchema = new mongoose.Schema(
   {
     productName: {
       type: String,
+      // one of the products of a catalogue stage creating products
       required: true,
-      enum: ["PALM OIL", "PALM KERNEL OIL", "BIOFUEL"],
     },
     productId: {
       type: Number,
@@ -18,7 +18,7 @@ const itemSchema = new mongoose.Schema(
       required: [true, "Please provide previous batch ID"],
     },
     timestamp: {
-      type: String,
+      type: Date,
     },
   },
   { versionKey: false }
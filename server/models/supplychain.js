@@ -31,20 +31,16 @@ const supplyChainSchema = new mongoose.Schema(
         _id: false,
         name: {
           type: String,
+          // one of the products of the stage in the catalogue
           required: [true, "Please provide the product name"],
-          enum: [
-            "PALM FRUITS",
-            "EMPTY FRUIT BUNCH",
-            "CRUDE PALM OIL",
-            "CRUDE PALM KERNEL OIL",
-            "PALM OIL",
-            "PALM KERNEL OIL",
-            "BIOFUEL",
-          ],
         },
         quantity: {
           type: Number,
           required: [true, "Please provide the product quantity"],
+          validate: {
+            validator: (quantity) => quantity > 0,
+            message: "Product quantities have to be positive",
+          },
         },
       },
     ],
@@ -54,9 +50,29 @@ const supplyChainSchema = new mongoose.Schema(
       unique: true,
       minlength: [3, "Batch ID should have more than 2 characters"],
     },
+    // the single batch taken in full by records signed before inputs
     previousBatchId: {
       type: String,
     },
+    // quantities taken from the batches of the input stage, see
+    // utils/batches.js
+    inputs: [
+      {
+        _id: false,
+        batchId: {
+          type: String,
+          required: [true, "Please provide the input batch ID"],
+        },
+        name: {
+          type: String,
+          required: [true, "Please provide the input product name"],
+        },
+        quantity: {
+          type: Number,
+          required: [true, "Please provide the input quantity"],
+        },
+      },
+    ],
     transactionReceipt: {
       type: mongoose.Schema.Types.ObjectId,
       required: [true, "Please provide the transaction receipt"],
@@ -64,16 +80,43 @@ const supplyChainSchema = new mongoose.Schema(
       ref: "Transaction",
     },
     timestamp: {
-      type: String,
+      type: Date,
       required: [true, "Please provide the timestamp"],
     },
+    legacyTimestamp: {
+      type: String,
+    },
     signature: {
       type: String,
       required: [true, "Please provide transaction signature"],
     },
+    hashVersion: {
+      type: Number,
+      default: null,
+    },
+    // signed sequence number of the sender account, see utils/nonces.js
+    nonce: {
+      type: Number,
+      default: null,
+    },
+    // yields against the previous batch computed on creation, not signed, see
+    // utils/massBalance.js
+    massBalance: {
+      type: Object,
+      default: null,
+    },
     status: {
       type: String,
-      enum: ["Pending", "Approved", "Rejected", "inBlock", "inChain"],
+      // new records wait for the receiver to acknowledge them before they
+      // become Pending for the validators
+      enum: [
+        "Unacknowledged",
+        "Pending",
+        "Approved",
+        "Rejected",
+        "inBlock",
+        "inChain",
+      ],
       default: "Pending",
     },
     createdBy: {
@@ -86,6 +129,29 @@ const supplyChainSchema = new mongoose.Schema(
     rejectedBy: {
       type: Array,
     },
+    votes: {
+      type: Array,
+      default: [],
+    },
+    approvedAt: {
+      type: Date,
+      default: null,
+    },
+    // countersignature of the receiver, see utils/acknowledgements.js
+    acknowledgement: {
+      type: Object,
+      default: null,
+    },
+    // products received in another quantity than sent
+    discrepancies: {
+      type: Array,
+      default: [],
+    },
+    // last time a record took from this batch
+    lastConsumedAt: {
+      type: Date,
+      default: null,
+    },
   },
   { versionKey: false }
 )
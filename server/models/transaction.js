@@ -31,12 +31,24 @@ const transactionSchema = new mongoose.Schema(
       required: [true, "Please provide transaction amount"],
     },
     timestamp: {
+      type: Date,
+    },
+    legacyTimestamp: {
       type: String,
     },
     signature: {
       type: String,
       required: [true, "Please provide transaction signature"],
     },
+    hashVersion: {
+      type: Number,
+      default: null,
+    },
+    // signed sequence number of the sender account, see utils/nonces.js
+    nonce: {
+      type: Number,
+      default: null,
+    },
     status: {
       type: String,
       enum: ["Pending", "Approved", "Rejected", "inBlock", "inChain"],
@@ -52,6 +64,14 @@ const transactionSchema = new mongoose.Schema(
     rejectedBy: {
       type: Array,
     },
+    votes: {
+      type: Array,
+      default: [],
+    },
+    approvedAt: {
+      type: Date,
+      default: null,
+    },
   },
   { versionKey: false }
 )
@@ -26,6 +26,7 @@ const userSchema = new mongoose.Schema(
         "WarehouseManager",
         "Retailer",
         "Validator",
+        "Administrator",
       ],
     },
     publicKey: {
@@ -33,10 +34,11 @@ const userSchema = new mongoose.Schema(
       required: [true, "Please generate public key"],
       unique: true,
     },
-    privateKey: {
-      type: String,
-      required: [true, "Please generate private key"],
-      unique: true,
+    // last nonce used by the account, the next transaction or record has to
+    // be signed with nonce + 1
+    nonce: {
+      type: Number,
+      default: 0,
     },
   },
   { versionKey: false }
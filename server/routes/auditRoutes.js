@@ -0,0 +1,16 @@
+const express = require("express")
+const router = express.Router()
+
+const {
+  authenticateUser,
+  authorizePermissions,
+} = require("../middleware/authentication")
+
+const { getAuditStatus, startAudit } = require("../controllers/auditController")
+
+router
+  .route("/")
+  .get(authenticateUser, getAuditStatus)
+  .post(authenticateUser, authorizePermissions("Validator"), startAudit)
+
+module.exports = router
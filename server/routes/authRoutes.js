@@ -1,13 +1,9 @@
 const express = require("express")
 const router = express.Router()
 
-const {
-  login,
-  register,
-  generateKeys,
-} = require("../controllers/authController")
+const { login, register } = require("../controllers/authController")
 
-router.route("/register").post(register).get(generateKeys)
+router.route("/register").post(register)
 router.route("/login").post(login)
 
 module.exports = router
@@ -9,16 +9,34 @@ const {
 const {
   getBlockchain,
   getBlock,
+  getRecordProof,
+  searchBlockchain,
   getWaitingBlock,
   activateBlock,
   validateBlock,
   approveBlock,
   validateBlockchain,
 } = require("../controllers/blockController")
+const {
+  getCheckpoints,
+  createCheckpoint,
+  signCheckpoint,
+} = require("../controllers/checkpointController")
 
 router.route("/blockchain").get(authenticateUser, getBlockchain)
 
-router.route("/blockchain/validate").get(validateBlockchain)
+router.route("/blockchain/validate").get(authenticateUser, validateBlockchain)
+
+router
+  .route("/checkpoints")
+  .get(authenticateUser, getCheckpoints)
+  .post(authenticateUser, authorizePermissions("Validator"), createCheckpoint)
+
+router
+  .route("/checkpoints/:blockId")
+  .put(authenticateUser, authorizePermissions("Validator"), signCheckpoint)
+
+router.route("/search").get(authenticateUser, searchBlockchain)
 
 router
   .route("/")
@@ -29,6 +47,8 @@ router
   .get(authenticateUser, getBlock)
   .patch(authenticateUser, authorizePermissions("Validator"), activateBlock)
 
+router.route("/:id/proof/:recordId").get(authenticateUser, getRecordProof)
+
 router
   .route("/approve/:id")
   .get(authenticateUser, authorizePermissions("Validator"), validateBlock)
@@ -0,0 +1,23 @@
+const express = require("express")
+const router = express.Router()
+
+const {
+  authenticateUser,
+  authorizePermissions,
+} = require("../middleware/authentication")
+
+const {
+  getCatalogue,
+  updateCatalogue,
+} = require("../controllers/catalogueController")
+
+router
+  .route("/")
+  .get(authenticateUser, getCatalogue)
+  .put(
+    authenticateUser,
+    authorizePermissions(["Administrator"]),
+    updateCatalogue
+  )
+
+module.exports = router
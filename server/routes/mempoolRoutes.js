@@ -0,0 +1,15 @@
+const express = require("express")
+const router = express.Router()
+
+const {
+  authenticateUser,
+  authorizePermissions,
+} = require("../middleware/authentication")
+
+const { getMempoolRecords } = require("../controllers/mempoolController")
+
+router
+  .route("/")
+  .get(authenticateUser, authorizePermissions("Validator"), getMempoolRecords)
+
+module.exports = router
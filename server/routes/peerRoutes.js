@@ -0,0 +1,19 @@
+const express = require("express")
+const router = express.Router()
+
+const { authenticatePeer } = require("../middleware/authentication")
+
+const {
+  getPeerStatus,
+  getPeerBlocks,
+  receiveBlock,
+} = require("../controllers/peerController")
+
+router.route("/status").get(authenticatePeer, getPeerStatus)
+
+router
+  .route("/blocks")
+  .get(authenticatePeer, getPeerBlocks)
+  .post(authenticatePeer, receiveBlock)
+
+module.exports = router
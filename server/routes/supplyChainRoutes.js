@@ -8,8 +8,11 @@ const {
 
 const {
   getPendingRecords,
+  getPendingAcknowledgements,
+  acknowledgeRecord,
   getRecord,
   getPreviousBatches,
+  getNextBatchId,
   createRecord,
   validateRecord,
   approveRecord,
@@ -30,8 +33,36 @@ router
     createRecord
   )
 
+router
+  .route("/acknowledgements")
+  .get(
+    authenticateUser,
+    authorizePermissions([
+      "Planter",
+      "Miller",
+      "Refiner",
+      "WarehouseManager",
+      "Retailer",
+    ]),
+    getPendingAcknowledgements
+  )
+
 router.route("/:id").get(authenticateUser, getRecord)
 
+router
+  .route("/acknowledge/:id")
+  .patch(
+    authenticateUser,
+    authorizePermissions([
+      "Planter",
+      "Miller",
+      "Refiner",
+      "WarehouseManager",
+      "Retailer",
+    ]),
+    acknowledgeRecord
+  )
+
 router
   .route("/validate/:id")
   .get(authenticateUser, authorizePermissions("Validator"), validateRecord)
@@ -45,4 +76,18 @@ router
     getPreviousBatches
   )
 
+router
+  .route("/records/batchId")
+  .get(
+    authenticateUser,
+    authorizePermissions([
+      "Planter",
+      "Miller",
+      "Refiner",
+      "WarehouseManager",
+      "Retailer",
+    ]),
+    getNextBatchId
+  )
+
 module.exports = router
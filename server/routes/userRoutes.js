@@ -9,14 +9,19 @@ const {
 const {
   getAllUsers,
   showCurrentUserProfile,
+  exportStoredPrivateKey,
   getUserTransactions,
   getUserRecords,
+  getUserBalance,
+  getUserStatement,
 } = require("../controllers/userController")
 
 router.route("/").get(authenticateUser, getAllUsers)
 
 router.route("/profile").get(authenticateUser, showCurrentUserProfile)
 
+router.route("/profile/keystore").post(authenticateUser, exportStoredPrivateKey)
+
 router
   .route("/transactions/history")
   .get(
@@ -47,4 +52,8 @@ router
     getUserRecords
   )
 
+router.route("/:publicKey/balance").get(authenticateUser, getUserBalance)
+
+router.route("/:publicKey/statement").get(authenticateUser, getUserStatement)
+
 module.exports = router
@@ -0,0 +1,44 @@
+// Initialises a new network: creates the genesis block with the configuration
+// read from the given JSON file (see config/genesis.example.json) and the
+// first hibernating block. Refuses to run on a database that already holds a
+// chain, nodes joining an existing network adopt its chain from their peers.
+//
+//   npm run bootstrap -- path/to/genesis.json
+require("dotenv").config()
+const mongoose = require("mongoose")
+const BlockModel = require("../models/block")
+const { createGenesisBlock } = require("../controllers/blockController")
+const { readGenesisFile } = require("../utils/genesis")
+const { fillHibernatingBlocks } = require("../utils/mempool")
+
+const bootstrap = async () => {
+  const [file] = process.argv.slice(2)
+  if (!file) {
+    throw new Error("Usage: npm run bootstrap -- path/to/genesis.json")
+  }
+  const genesis = readGenesisFile(file)
+
+  await mongoose.connect(process.env.MONGO_URI)
+
+  if (await BlockModel.exists({ status: "inChain" })) {
+    throw new Error("This database already holds a chain")
+  }
+
+  const genesisBlock = await createGenesisBlock(genesis)
+  await fillHibernatingBlocks()
+
+  console.log(
+    `Bootstrapped network ${genesis.network}, genesis block ${genesisBlock.hash}`
+  )
+  console.log(
+    `${genesis.validators.length} validators, ${genesis.consensus.strategy} consensus, ${genesis.catalogue.stages.length} supply chain stages`
+  )
+  await mongoose.disconnect()
+}
+
+bootstrap()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.log(error.message)
+    process.exit(1)
+  })
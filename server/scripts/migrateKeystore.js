@@ -0,0 +1,50 @@
+// Prepares an existing database for the encrypted keystore.
+//
+// The server can not encrypt a stored private key without the owner's
+// passphrase, so every user still holding a plaintext key has to export it
+// from their profile page (POST /api/users/profile/keystore), which removes
+// the key from the database. Run with --purge once everyone has exported to
+// delete the remaining plaintext keys for good.
+require("dotenv").config()
+const mongoose = require("mongoose")
+const UserModel = require("../models/user")
+
+const migrate = async () => {
+  const purge = process.argv.includes("--purge")
+
+  await mongoose.connect(process.env.MONGO_URI)
+
+  // the unique index would reject every new user without a private key
+  const indexes = await UserModel.collection.indexes()
+  if (indexes.some((index) => index.name === "privateKey_1")) {
+    await UserModel.collection.dropIndex("privateKey_1")
+    console.log("Dropped the privateKey_1 index")
+  }
+
+  const legacyUsers = await UserModel.collection
+    .find({ privateKey: { $exists: true } })
+    .project({ username: 1 })
+    .toArray()
+
+  if (legacyUsers.length === 0) {
+    console.log("No plaintext private keys left in the database")
+  } else if (purge) {
+    await UserModel.collection.updateMany(
+      { privateKey: { $exists: true } },
+      { $unset: { privateKey: "" } }
+    )
+    console.log(`Removed ${legacyUsers.length} plaintext private key(s)`)
+  } else {
+    console.log("These users still have to export their keystore:")
+    for (const user of legacyUsers) {
+      console.log(`  ${user.username}`)
+    }
+  }
+
+  await mongoose.disconnect()
+}
+
+migrate().catch((error) => {
+  console.log(error)
+  process.exit(1)
+})
@@ -0,0 +1,56 @@
+// Converts the toLocaleString("en-GB") timestamps of existing documents into
+// dates. Blocks, transactions and supply-chain records keep the original
+// string in legacyTimestamp because it is covered by their hash or signature.
+// Records embedded in blocks are left untouched, legacy block hashes cover
+// their exact stored content. Safe to run more than once.
+require("dotenv").config()
+const mongoose = require("mongoose")
+const BlockModel = require("../models/block")
+const TransactionModel = require("../models/transaction")
+const SupplyChainModel = require("../models/supplychain")
+const ProductModel = require("../models/product")
+const { parseLegacyTimestamp } = require("../utils/timestamp")
+
+const migrateCollection = async (model, keepLegacyTimestamp) => {
+  const documents = await model.collection
+    .find({ timestamp: { $type: "string" } })
+    .project({ timestamp: 1 })
+    .toArray()
+
+  let converted = 0
+  for (const document of documents) {
+    const timestamp = parseLegacyTimestamp(document.timestamp)
+    if (!timestamp) {
+      console.log(
+        `${model.modelName} ${document._id}: unrecognised timestamp "${document.timestamp}"`
+      )
+      continue
+    }
+
+    const update = { timestamp }
+    if (keepLegacyTimestamp) {
+      update.legacyTimestamp = document.timestamp
+    }
+    await model.collection.updateOne({ _id: document._id }, { $set: update })
+    converted++
+  }
+  console.log(
+    `${model.modelName}: converted ${converted} of ${documents.length} timestamps`
+  )
+}
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI)
+
+  await migrateCollection(BlockModel, true)
+  await migrateCollection(TransactionModel, true)
+  await migrateCollection(SupplyChainModel, true)
+  await migrateCollection(ProductModel, false)
+
+  await mongoose.disconnect()
+}
+
+migrate().catch((error) => {
+  console.log(error)
+  process.exit(1)
+})
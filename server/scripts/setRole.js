@@ -0,0 +1,40 @@
+// Changes the role of a registered user. Administrators can not register
+// themselves, an existing account is promoted with this command instead.
+//
+//   npm run set:role -- <username> Administrator
+require("dotenv").config()
+const mongoose = require("mongoose")
+const UserModel = require("../models/user")
+
+const setRole = async () => {
+  const [username, role] = process.argv.slice(2)
+  const roles = UserModel.schema.path("role").enumValues
+  if (!username || !roles.includes(role)) {
+    throw new Error(
+      `Usage: npm run set:role -- <username> <role>, role one of ${roles.join(
+        ", "
+      )}`
+    )
+  }
+
+  await mongoose.connect(process.env.MONGO_URI)
+
+  const user = await UserModel.findOneAndUpdate(
+    { username },
+    { role },
+    { new: true }
+  )
+  if (!user) {
+    throw new Error(`No user with username ${username}`)
+  }
+
+  console.log(`${username} is now ${role}`)
+  await mongoose.disconnect()
+}
+
+setRole()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.log(error.message)
+    process.exit(1)
+  })
@@ -0,0 +1,88 @@
+// Re-verifies every block in the chain and reports the blocks whose stored
+// hash depends on non-canonical serialization, i.e. legacy blocks that hash
+// the JSON.stringify output of whole stored records including fields such as
+// status, approvedBy or rejectedBy. Exits with 1 when a stored hash can not
+// be reproduced at all.
+require("dotenv").config()
+const mongoose = require("mongoose")
+const BlockModel = require("../models/block")
+const {
+  computeBlockHash,
+  toCanonicalRecord,
+} = require("../controllers/blockController")
+const { isLegacyHashVersion } = require("../utils/canonical")
+const { getSignedTimestamp } = require("../utils/timestamp")
+
+const verify = async () => {
+  await mongoose.connect(process.env.MONGO_URI)
+
+  const blocks = await BlockModel.find({ status: "inChain" })
+    .sort({ blockId: 1 })
+    .lean()
+
+  let canonicalBlocks = 0
+  let legacyBlocks = 0
+  let mismatchedBlocks = 0
+
+  for (const block of blocks) {
+    const {
+      blockId,
+      prevHash,
+      records,
+      merkleRoot,
+      hashVersion,
+      votes,
+      validatorCount,
+      validators,
+      genesis,
+    } = block
+    const isHashValid =
+      block.hash ===
+      computeBlockHash(
+        blockId,
+        prevHash,
+        getSignedTimestamp(block),
+        records,
+        merkleRoot,
+        hashVersion,
+        { votes, validatorCount, validators, genesis }
+      )
+
+    if (!isHashValid) {
+      mismatchedBlocks++
+      console.log(`Block ${blockId}: stored hash can not be reproduced`)
+    } else if (isLegacyHashVersion(hashVersion)) {
+      legacyBlocks++
+      const nonCanonicalFields = new Set()
+      for (const record of records) {
+        const canonicalFields = Object.keys(toCanonicalRecord(record))
+        Object.keys(record)
+          .filter((field) => !canonicalFields.includes(field))
+          .forEach((field) => nonCanonicalFields.add(field))
+      }
+      console.log(
+        `Block ${blockId}: legacy hash depends on the serialization of ` +
+          (nonCanonicalFields.size > 0
+            ? `${[...nonCanonicalFields].join(", ")} and record field order`
+            : "the stored record field order")
+      )
+    } else {
+      canonicalBlocks++
+    }
+  }
+
+  console.log(
+    `${blocks.length} blocks checked: ${canonicalBlocks} canonical, ` +
+      `${legacyBlocks} legacy, ${mismatchedBlocks} mismatched`
+  )
+
+  await mongoose.disconnect()
+  return mismatchedBlocks === 0
+}
+
+verify()
+  .then((isValid) => process.exit(isValid ? 0 : 1))
+  .catch((error) => {
+    console.log(error)
+    process.exit(1)
+  })
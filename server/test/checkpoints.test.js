@@ -0,0 +1,55 @@
+const test = require("node:test")
+const assert = require("node:assert")
+const EC = require("elliptic").ec
+const ec = new EC("secp256k1")
+const {
+  computeCheckpointHash,
+  isCheckpointTrusted,
+} = require("../utils/checkpoints")
+const { computeVoteHash } = require("../utils/votes")
+
+function createValidator(username) {
+  const key = ec.genKeyPair()
+  return { username, publicKey: key.getPublic("hex"), key }
+}
+
+function signCheckpoint(checkpoint, signers, validators) {
+  const itemHash = computeCheckpointHash(checkpoint, validators)
+  return signers.map((validator) => {
+    const timestamp = new Date().toISOString()
+    return {
+      validator: validator.username,
+      publicKey: validator.publicKey,
+      decision: "approve",
+      timestamp,
+      signature: validator.key
+        .sign(computeVoteHash(itemHash, "approve", timestamp))
+        .toDER("hex"),
+    }
+  })
+}
+
+const validators = ["alice", "bob", "carol"].map(createValidator)
+const checkpoint = { blockId: 12, hash: "ab".repeat(32), status: "Signed" }
+
+test("a checkpoint signed by the network validators is trusted", () => {
+  const votes = signCheckpoint(checkpoint, validators, validators)
+  assert.ok(isCheckpointTrusted({ ...checkpoint, votes }, validators))
+})
+
+test("a checkpoint signed by its own validator set is not trusted", () => {
+  const forgers = ["mallory", "trent", "oscar"].map(createValidator)
+  const votes = signCheckpoint(checkpoint, forgers, forgers)
+  assert.ok(
+    !isCheckpointTrusted(
+      { ...checkpoint, votes, validators: forgers },
+      validators
+    )
+  )
+})
+
+test("the signatures cover the validator set", () => {
+  const otherSet = validators.slice(0, 2)
+  const votes = signCheckpoint(checkpoint, otherSet, otherSet)
+  assert.ok(!isCheckpointTrusted({ ...checkpoint, votes }, validators))
+})
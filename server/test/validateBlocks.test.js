@@ -0,0 +1,157 @@
+const test = require("node:test")
+const assert = require("node:assert")
+const mongoose = require("mongoose")
+const EC = require("elliptic").ec
+const ec = new EC("secp256k1")
+const {
+  computeBlockHash,
+  computeBlockContentHash,
+  validateBlocks,
+} = require("../controllers/blockController")
+const { computeVoteHash } = require("../utils/votes")
+const { HASH_VERSION, BLOCK_HASH_VERSION } = require("../utils/canonical")
+
+// Blocks are built in memory, validateBlocks does not touch the database
+
+function createValidator(username) {
+  const key = ec.genKeyPair()
+  return { username, publicKey: key.getPublic("hex"), key }
+}
+
+function signApproval(validator, block) {
+  const timestamp = new Date().toISOString()
+  const itemHash = computeBlockContentHash(block)
+  return {
+    validator: validator.username,
+    publicKey: validator.publicKey,
+    decision: "approve",
+    timestamp,
+    signature: validator.key
+      .sign(computeVoteHash(itemHash, "approve", timestamp))
+      .toDER("hex"),
+  }
+}
+
+function seal(block) {
+  block.hash = computeBlockHash(
+    block.blockId,
+    block.prevHash,
+    block.timestamp.toISOString(),
+    block.records,
+    block.merkleRoot,
+    block.hashVersion,
+    block
+  )
+  return block
+}
+
+function createGenesisBlock() {
+  return seal({
+    blockId: 0,
+    prevHash: "",
+    records: [],
+    merkleRoot: "",
+    hashVersion: BLOCK_HASH_VERSION,
+    votes: [],
+    validatorCount: 0,
+    validators: [],
+    timestamp: new Date(),
+    status: "inChain",
+  })
+}
+
+function createBlock(prevBlock, validators, signers) {
+  const block = {
+    _id: new mongoose.Types.ObjectId(),
+    blockId: prevBlock.blockId + 1,
+    prevHash: prevBlock.hash,
+    records: [],
+    merkleRoot: "",
+    hashVersion: BLOCK_HASH_VERSION,
+    validatorCount: validators.length,
+    validators: validators.map(({ username, publicKey }) => ({
+      username,
+      publicKey,
+    })),
+    timestamp: new Date(),
+    status: "inChain",
+  }
+  block.votes = signers.map((signer) => signApproval(signer, block))
+  return seal(block)
+}
+
+const networkValidators = ["alice", "bob", "carol"].map(createValidator)
+
+test("accepts a block approved by the validators of the network", () => {
+  const genesis = createGenesisBlock()
+  const block = createBlock(
+    genesis,
+    networkValidators,
+    networkValidators.slice(0, 2)
+  )
+
+  assert.strictEqual(
+    validateBlocks([genesis, block], networkValidators).isValid,
+    true
+  )
+})
+
+test("rejects a block storing its own validator set", () => {
+  const genesis = createGenesisBlock()
+  const attacker = createValidator("mallory")
+  const forged = createBlock(genesis, [attacker], [attacker])
+
+  const report = validateBlocks([genesis, forged], networkValidators)
+  const checks = report.blocks[1].errors.map(({ check }) => check)
+
+  assert.strictEqual(report.isValid, false)
+  assert.ok(checks.includes("validatorSet"))
+  assert.ok(checks.includes("voteSignature"))
+  assert.ok(checks.includes("quorum"))
+})
+
+test("takes the quorum size from the validator set of the network", () => {
+  const genesis = createGenesisBlock()
+  // a single approval with a stored count of 1 is not a quorum of 3
+  const forged = createBlock(
+    genesis,
+    networkValidators.slice(0, 1),
+    networkValidators.slice(0, 1)
+  )
+
+  const report = validateBlocks([genesis, forged], networkValidators)
+  const checks = report.blocks[1].errors.map(({ check }) => check)
+
+  assert.deepStrictEqual(checks, ["quorum"])
+})
+
+test("reports nonces used before the first checked block", () => {
+  const genesis = createGenesisBlock()
+  const sender = ec.genKeyPair().getPublic("hex")
+  const block = createBlock(
+    genesis,
+    networkValidators,
+    networkValidators.slice(0, 2)
+  )
+  block.records = [
+    {
+      _id: new mongoose.Types.ObjectId(),
+      fromAddress: sender,
+      toAddress: ec.genKeyPair().getPublic("hex"),
+      amount: 10,
+      nonce: 1,
+      hashVersion: HASH_VERSION,
+      timestamp: new Date(),
+    },
+  ]
+  const getChecks = (previousNonces) =>
+    validateBlocks(
+      [block],
+      networkValidators,
+      null,
+      previousNonces
+    ).blocks[0].errors.map(({ check }) => check)
+
+  assert.ok(!getChecks([]).includes("nonceReplay"))
+  assert.ok(getChecks([`${sender}:1`]).includes("nonceReplay"))
+})
@@ -0,0 +1,141 @@
+const { createHash } = require("crypto")
+const EC = require("elliptic").ec
+const ec = new EC("secp256k1")
+const { canonicalize } = require("./canonical")
+const { isISOTimestamp } = require("./timestamp")
+const { BadRequestError } = require("../errors")
+
+// A supply-chain record is a handover from its sender to its receiver. The
+// receiver countersigns the hash of the record with the quantities actually
+// received and optional notes before the validators decide on it, so short
+// deliveries are recorded in the chain together with the record.
+
+function computeAcknowledgementHash(
+  recordHash,
+  receivedProducts,
+  notes,
+  timestamp
+) {
+  return createHash("sha256")
+    .update(canonicalize({ recordHash, receivedProducts, notes, timestamp }))
+    .digest("hex")
+}
+
+function verifyAcknowledgement(acknowledgement, recordHash) {
+  const { publicKey, receivedProducts, notes, timestamp, signature } =
+    acknowledgement
+  if (!signature) {
+    return false
+  }
+
+  try {
+    return ec
+      .keyFromPublic(publicKey, "hex")
+      .verify(
+        computeAcknowledgementHash(
+          recordHash,
+          receivedProducts,
+          notes,
+          timestamp
+        ),
+        signature
+      )
+  } catch (error) {
+    return false
+  }
+}
+
+function sumQuantities(products) {
+  const quantities = new Map()
+  for (const { name, quantity } of products) {
+    quantities.set(name, (quantities.get(name) || 0) + Number(quantity))
+  }
+  return quantities
+}
+
+// Products whose received quantity differs from the quantity sent
+function findDiscrepancies(products, receivedProducts) {
+  const received = sumQuantities(receivedProducts)
+  return [...sumQuantities(products)]
+    .filter(([name, quantity]) => received.get(name) !== quantity)
+    .map(([name, quantity]) => ({
+      name,
+      sent: quantity,
+      received: received.get(name),
+    }))
+}
+
+function createAcknowledgement(
+  receiver,
+  record,
+  recordHash,
+  { receivedProducts, notes, timestamp, signature }
+) {
+  if (!isISOTimestamp(timestamp)) {
+    throw new BadRequestError(
+      "Please provide the acknowledgement timestamp as an ISO-8601 string"
+    )
+  }
+
+  const sent = sumQuantities(record.products)
+  const sentProducts = [...sent.keys()]
+  if (
+    !Array.isArray(receivedProducts) ||
+    receivedProducts.length !== sentProducts.length ||
+    sentProducts.some(
+      (name) => !receivedProducts.some((product) => product.name === name)
+    )
+  ) {
+    throw new BadRequestError(
+      "Please provide the quantity received of every product of the record"
+    )
+  }
+  if (
+    receivedProducts.some(
+      ({ quantity }) =>
+        typeof quantity !== "number" ||
+        !Number.isFinite(quantity) ||
+        quantity < 0
+    )
+  ) {
+    throw new BadRequestError("Received quantities can not be negative")
+  }
+  // only shortfalls are discrepancies, receiving more than was sent would let
+  // downstream records take quantities that never passed the mass balance
+  const received = sumQuantities(receivedProducts)
+  const excess = [...received].find(
+    ([name, quantity]) => quantity > sent.get(name)
+  )
+  if (excess) {
+    throw new BadRequestError(
+      `At most ${sent.get(excess[0])} ${excess[0]} can be received`
+    )
+  }
+
+  const acknowledgement = {
+    receiver: receiver.username,
+    publicKey: receiver.publicKey,
+    receivedProducts: receivedProducts.map(({ name, quantity }) => ({
+      name,
+      quantity,
+    })),
+    timestamp,
+    signature,
+  }
+  // only set when present, an undefined field would be stored as null
+  if (notes) {
+    acknowledgement.notes = notes
+  }
+
+  if (!verifyAcknowledgement(acknowledgement, recordHash)) {
+    throw new BadRequestError("Invalid signature for this acknowledgement")
+  }
+  return acknowledgement
+}
+
+module.exports = {
+  computeAcknowledgementHash,
+  verifyAcknowledgement,
+  findDiscrepancies,
+  createAcknowledgement,
+}
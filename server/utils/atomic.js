@@ -0,0 +1,37 @@
+const mongoose = require("mongoose")
+
+const MAX_ATTEMPTS = 3
+
+// Runs fn(session) in a MongoDB transaction, every write made with the session
+// is committed together or not at all. The driver retries transient errors,
+// such as a write conflict when two validators decide the same block at the
+// same moment. A duplicate key, e.g. two blocks appended with the same blockId,
+// aborts the transaction and is retried here so the loser reads the new tip.
+async function runAtomically(fn) {
+  for (let attempt = 1; ; attempt++) {
+    let result
+    try {
+      await mongoose.connection.transaction(async (session) => {
+        result = await fn(session)
+      })
+      return result
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_ATTEMPTS) {
+        throw error
+      }
+    }
+  }
+}
+
+// Transactions are only available on a replica set (a single node replica set
+// is enough), fail at start up rather than on the first block decision
+async function assertReplicaSet() {
+  const status = await mongoose.connection.db.admin().command({ isMaster: 1 })
+  if (!status.setName) {
+    throw new Error(
+      "MongoDB must run as a replica set for atomic block finalisation, see the README"
+    )
+  }
+}
+
+module.exports = { runAtomically, assertReplicaSet }
@@ -0,0 +1,144 @@
+const SupplyChainModel = require("../models/supplychain")
+const { BadRequestError, NotFoundError } = require("../errors")
+const { INPUTS_HASH_VERSION } = require("./canonical")
+const { getStageOfBatch } = require("./catalogue")
+
+// A record takes explicit quantities of the products of one or more batches of
+// its input stage, so a batch can be split between several downstream batches
+// and a batch can blend several upstream ones. What is left of a batch is
+// derived from the records taking from it, records signed before inputs name
+// a single previous batch and take all of it.
+
+function hasInputs(record) {
+  return record.hashVersion >= INPUTS_HASH_VERSION
+}
+
+// Inputs of a record, a quantity of null takes the whole batch
+function getRecordInputs(record) {
+  if (hasInputs(record)) {
+    return record.inputs || []
+  }
+  return record.previousBatchId
+    ? [{ batchId: record.previousBatchId, name: null, quantity: null }]
+    : []
+}
+
+// Quantity of every product of the batch as received, what the records that
+// have not been rejected take from it and what remains
+async function getBatchBalance(batch, session = null) {
+  const consumers = await SupplyChainModel.find({
+    status: { $ne: "Rejected" },
+    $or: [
+      { "inputs.batchId": batch.batchId },
+      { previousBatchId: batch.batchId },
+    ],
+  }).session(session)
+
+  const consumed = new Map()
+  let isExhausted = false
+  for (const consumer of consumers) {
+    for (const input of getRecordInputs(consumer)) {
+      if (input.batchId !== batch.batchId) {
+        continue
+      }
+      if (input.quantity === null) {
+        isExhausted = true
+      } else {
+        consumed.set(
+          input.name,
+          (consumed.get(input.name) || 0) + Number(input.quantity)
+        )
+      }
+    }
+  }
+
+  // a receiver can only pass on what was actually delivered
+  const delivered = batch.acknowledgement
+    ? batch.acknowledgement.receivedProducts
+    : batch.products
+  const quantities = new Map()
+  for (const { name, quantity } of delivered) {
+    quantities.set(name, (quantities.get(name) || 0) + Number(quantity))
+  }
+
+  return [...quantities].map(([name, quantity]) => ({
+    name,
+    quantity,
+    consumed: isExhausted ? quantity : consumed.get(name) || 0,
+    remaining: isExhausted ? 0 : quantity - (consumed.get(name) || 0),
+  }))
+}
+
+function sumInputs(inputs) {
+  const totals = new Map()
+  for (const { batchId, name, quantity } of inputs) {
+    const key = `${batchId}:${name}`
+    totals.set(key, {
+      batchId,
+      name,
+      quantity: ((totals.get(key) || {}).quantity || 0) + quantity,
+    })
+  }
+  return [...totals.values()]
+}
+
+// Checks the inputs of a new record of the stage against what remains of
+// their batches, to be called in the transaction creating the record. Every
+// input batch is written so two records taking from the same batch at the same
+// moment conflict and the second one sees what the first one took.
+async function claimInputs(catalogue, stage, inputs, session) {
+  if (!Array.isArray(inputs) || inputs.length === 0) {
+    throw new BadRequestError("Please provide the batches this record takes")
+  }
+
+  const claims = sumInputs(
+    inputs.map(({ batchId, name, quantity }) => {
+      if (!batchId || !name || !(Number(quantity) > 0)) {
+        throw new BadRequestError(
+          "Every input needs a batch ID, a product and a positive quantity"
+        )
+      }
+      return { batchId, name, quantity: Number(quantity) }
+    })
+  )
+
+  for (const { batchId, name, quantity } of claims) {
+    const batch = await SupplyChainModel.findOne({ batchId }).session(session)
+    if (!batch) {
+      throw new NotFoundError(`The input batch ${batchId} cannot be found`)
+    }
+    if (["Unacknowledged", "Pending", "Rejected"].includes(batch.status)) {
+      throw new BadRequestError(
+        `The input batch ${batchId} has not been approved`
+      )
+    }
+
+    const inputStage = getStageOfBatch(catalogue, batchId)
+    if (!inputStage || inputStage.role !== stage.inputStage) {
+      throw new BadRequestError(
+        `The input batches have to come from the ${stage.inputStage} stage`
+      )
+    }
+
+    const balance = (await getBatchBalance(batch, session)).find(
+      (product) => product.name === name
+    )
+    if (!balance) {
+      throw new BadRequestError(`The batch ${batchId} holds no ${name}`)
+    }
+    if (quantity > balance.remaining) {
+      throw new BadRequestError(
+        `Only ${balance.remaining} ${name} remains in the batch ${batchId}`
+      )
+    }
+
+    await SupplyChainModel.updateOne(
+      { _id: batch._id },
+      { lastConsumedAt: new Date() },
+      { session }
+    )
+  }
+  return claims
+}
+
+module.exports = { hasInputs, getRecordInputs, getBatchBalance, claimInputs }
@@ -0,0 +1,99 @@
+// Deterministic encoding used by every hash in the chain. Object keys are
+// sorted, undefined values are dropped and only finite numbers are accepted,
+// so the same data always produces the same string. Dates and ObjectIds are
+// encoded as their ISO-8601 and hex strings, any other object that is not a
+// plain object throws rather than encoding as {}.
+
+// Items without a hashVersion were hashed with the legacy JSON.stringify and
+// string concatenation scheme, which is kept for verification only
+const LEGACY_HASH_VERSION = 1
+// Transactions and records from this version on also sign the account nonce
+const NONCE_HASH_VERSION = 3
+// Supply-chain records from this version on sign the quantities they take from
+// each of their input batches
+const INPUTS_HASH_VERSION = 4
+const HASH_VERSION = INPUTS_HASH_VERSION
+// Blocks from this version on also hash the signed validator votes
+const VOTES_BLOCK_HASH_VERSION = 3
+// Blocks from this version on also hash the validator set their votes are
+// verified against
+const VALIDATORS_BLOCK_HASH_VERSION = 4
+// Blocks from this version on build their Merkle tree with prefixed leaf and
+// node hashes, see utils/merkle.js
+const MERKLE_BLOCK_HASH_VERSION = 5
+const BLOCK_HASH_VERSION = MERKLE_BLOCK_HASH_VERSION
+
+// ObjectIds of the bson library used by mongoose, whichever copy created them
+function isObjectId(value) {
+  return (
+    typeof value === "object" &&
+    ["ObjectID", "ObjectId"].includes(value._bsontype)
+  )
+}
+
+function canonicalize(value) {
+  if (value === null || value === undefined) {
+    return "null"
+  }
+
+  if (typeof value === "number") {
+    if (!Number.isFinite(value)) {
+      throw new Error(`Cannot canonicalize the number ${value}`)
+    }
+    // JSON.stringify gives the shortest round-trip form and turns -0 into 0
+    return JSON.stringify(value)
+  }
+
+  if (typeof value === "string" || typeof value === "boolean") {
+    return JSON.stringify(value)
+  }
+
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) {
+      throw new Error("Cannot canonicalize an invalid date")
+    }
+    return JSON.stringify(value.toISOString())
+  }
+
+  if (isObjectId(value)) {
+    return JSON.stringify(value.toString())
+  }
+
+  if (Array.isArray(value)) {
+    return "[" + value.map((item) => canonicalize(item)).join(",") + "]"
+  }
+
+  if (typeof value === "object") {
+    const prototype = Object.getPrototypeOf(value)
+    if (prototype !== Object.prototype && prototype !== null) {
+      throw new Error(
+        `Cannot canonicalize an instance of ${value.constructor.name}`
+      )
+    }
+
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => JSON.stringify(key) + ":" + canonicalize(value[key]))
+    return "{" + entries.join(",") + "}"
+  }
+
+  throw new Error(`Cannot canonicalize a value of type ${typeof value}`)
+}
+
+function isLegacyHashVersion(hashVersion) {
+  return !hashVersion || hashVersion === LEGACY_HASH_VERSION
+}
+
+module.exports = {
+  LEGACY_HASH_VERSION,
+  NONCE_HASH_VERSION,
+  INPUTS_HASH_VERSION,
+  HASH_VERSION,
+  VOTES_BLOCK_HASH_VERSION,
+  VALIDATORS_BLOCK_HASH_VERSION,
+  MERKLE_BLOCK_HASH_VERSION,
+  BLOCK_HASH_VERSION,
+  canonicalize,
+  isLegacyHashVersion,
+}
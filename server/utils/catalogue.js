@@ -0,0 +1,213 @@
+const CatalogueModel = require("../models/catalogue")
+const BlockModel = require("../models/block")
+const UserModel = require("../models/user")
+const { DEFAULT_CATALOGUE } = require("../config/catalogue")
+
+// The catalogue lists the products of the supply chain and its stages: the
+// role producing each stage, the prefix of its batch IDs, the products it may
+// record, the upstream stage whose batches it takes as input and whether its
+// approved records create the products sold to consumers. The conversions of a
+// stage give the expected yield of its products from the products of its input
+// stage, see utils/massBalance.js. It is seeded from the genesis block and
+// edited by an administrator afterwards.
+
+const DEFAULT_YIELD_TOLERANCE = 0.1
+
+function buildConversions(stage, products) {
+  const conversions = stage.conversions || []
+  if (!Array.isArray(conversions)) {
+    throw new Error(`The conversions of ${stage.role} have to be a list`)
+  }
+
+  return conversions.map(({ from, to, ratio }) => {
+    if (!products.includes(from) || !stage.products.includes(to)) {
+      throw new Error(
+        `${stage.role} converts ${from} into ${to}, which is not one of its products`
+      )
+    }
+    if (!(Number(ratio) > 0)) {
+      throw new Error(
+        `The conversion of ${from} into ${to} needs a positive ratio`
+      )
+    }
+    return { from, to, ratio: Number(ratio) }
+  })
+}
+
+function buildStage(stage, products, roles) {
+  const { role, batchPrefix, inputStage, createsProducts } = stage
+  const yieldTolerance =
+    stage.yieldTolerance === undefined || stage.yieldTolerance === null
+      ? DEFAULT_YIELD_TOLERANCE
+      : Number(stage.yieldTolerance)
+
+  if (!role || !batchPrefix || !Array.isArray(stage.products)) {
+    throw new Error(
+      "Every catalogue stage needs a role, a batch prefix and its products"
+    )
+  }
+  if (!roles.includes(role)) {
+    throw new Error(`Unknown supply chain role ${role}`)
+  }
+  if (!/^[A-Z0-9]+$/.test(batchPrefix)) {
+    throw new Error(
+      `The batch prefix of ${role} may only hold capital letters and digits`
+    )
+  }
+
+  const unknownProduct = stage.products.find(
+    (product) => !products.includes(product)
+  )
+  if (unknownProduct) {
+    throw new Error(`${role} records ${unknownProduct}, which is not listed`)
+  }
+  if (!(yieldTolerance >= 0 && yieldTolerance < 1)) {
+    throw new Error(`The yield tolerance of ${role} has to be between 0 and 1`)
+  }
+
+  return {
+    role,
+    batchPrefix,
+    products: [...new Set(stage.products)],
+    inputStage: inputStage || null,
+    createsProducts: !!createsProducts,
+    conversions: buildConversions(stage, products),
+    yieldTolerance,
+  }
+}
+
+// Checks a catalogue and fills in the defaults, a catalogue without its own
+// product list lists the products of its stages
+function buildCatalogue(catalogue = DEFAULT_CATALOGUE) {
+  if (!catalogue || !Array.isArray(catalogue.stages)) {
+    throw new Error("The catalogue needs a list of stages")
+  }
+
+  const products = [
+    ...new Set(
+      catalogue.products ||
+        catalogue.stages.flatMap((stage) => stage.products || [])
+    ),
+  ]
+  if (products.some((product) => !product || typeof product !== "string")) {
+    throw new Error("Product names have to be non-empty strings")
+  }
+
+  const roles = UserModel.schema.path("role").enumValues
+  const stages = catalogue.stages.map((stage) =>
+    buildStage(stage, products, roles)
+  )
+
+  for (const stage of stages) {
+    const duplicate = stages.find(
+      (other) =>
+        other !== stage &&
+        (other.role === stage.role ||
+          other.batchPrefix.startsWith(stage.batchPrefix))
+    )
+    if (duplicate) {
+      throw new Error(
+        duplicate.role === stage.role
+          ? `${stage.role} has more than one stage`
+          : `The batch prefixes of ${stage.role} and ${duplicate.role} overlap`
+      )
+    }
+
+    if (
+      stage.inputStage &&
+      !stages.some((other) => other.role === stage.inputStage)
+    ) {
+      throw new Error(
+        `Stage ${stage.role} takes input from unknown ${stage.inputStage}`
+      )
+    }
+
+    const inputProducts = stage.inputStage
+      ? getStage({ stages }, stage.inputStage).products
+      : []
+    const conversion = stage.conversions.find(
+      (conversion, index) =>
+        !inputProducts.includes(conversion.from) ||
+        stage.conversions.findIndex(({ to }) => to === conversion.to) !== index
+    )
+    if (conversion) {
+      throw new Error(
+        inputProducts.includes(conversion.from)
+          ? `${stage.role} has more than one conversion into ${conversion.to}`
+          : `${stage.role} converts ${conversion.from}, which its input stage does not record`
+      )
+    }
+  }
+
+  // following the inputs upstream has to end at a stage without input
+  for (const stage of stages) {
+    const visited = new Set()
+    let current = stage
+    while (current && current.inputStage) {
+      if (visited.has(current.role)) {
+        throw new Error(`The stages taking input from ${stage.role} loop`)
+      }
+      visited.add(current.role)
+      current = getStage({ stages }, current.inputStage)
+    }
+  }
+  return { products, stages }
+}
+
+// Catalogue of the network, seeded from the genesis block on first use
+async function getCatalogue() {
+  const catalogue = await CatalogueModel.findOne({ key: "catalogue" })
+  if (catalogue) {
+    return catalogue
+  }
+
+  const genesisBlock = await BlockModel.findOne({
+    blockId: 0,
+    status: "inChain",
+  }).select("genesis")
+  const { products, stages } = buildCatalogue(
+    (genesisBlock && genesisBlock.genesis && genesisBlock.genesis.catalogue) ||
+      undefined
+  )
+
+  return CatalogueModel.findOneAndUpdate(
+    { key: "catalogue" },
+    { $setOnInsert: { key: "catalogue", products, stages } },
+    { upsert: true, new: true }
+  )
+}
+
+async function updateCatalogue(config, username) {
+  const { products, stages } = buildCatalogue(config)
+  return CatalogueModel.findOneAndUpdate(
+    { key: "catalogue" },
+    { products, stages, updatedAt: new Date(), updatedBy: username },
+    { upsert: true, new: true }
+  )
+}
+
+function getStage(catalogue, role) {
+  return catalogue.stages.find((stage) => stage.role === role) || null
+}
+
+// Stage whose role produced the batch, told by the batch ID prefix
+function getStageOfBatch(catalogue, batchId) {
+  return (
+    catalogue.stages.find((stage) =>
+      (batchId || "").startsWith(stage.batchPrefix)
+    ) || null
+  )
+}
+
+function getBatchPrefixRegExp(stage) {
+  return new RegExp(`^${stage.batchPrefix}`)
+}
+
+module.exports = {
+  buildCatalogue,
+  getCatalogue,
+  updateCatalogue,
+  getStage,
+  getStageOfBatch,
+  getBatchPrefixRegExp,
+}
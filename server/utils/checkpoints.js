@@ -0,0 +1,89 @@
+const { createHash } = require("crypto")
+const CheckpointModel = require("../models/checkpoint")
+const { canonicalize } = require("./canonical")
+const { verifyVote } = require("./votes")
+const { decide } = require("../consensus")
+const { toValidatorSet, getValidatorKeys } = require("./validators")
+
+// A checkpoint records the id and hash of the last block of a chain that
+// passed validation. Once the validators have signed it, validations start
+// from the checkpointed block instead of re-verifying the whole chain.
+
+// Hash the validators sign to vouch for a checkpoint, it covers the validator
+// set of the network so a checkpoint is only trusted by the set it was signed
+// for
+function computeCheckpointHash({ blockId, hash }, validators) {
+  return createHash("sha256")
+    .update(
+      canonicalize({ blockId, hash, validators: toValidatorSet(validators) })
+    )
+    .digest("hex")
+}
+
+// Validators with a valid signed approval of the checkpoint, only the votes of
+// the given validators are counted
+function getCheckpointSigners(checkpoint, validators) {
+  const validatorKeys = getValidatorKeys(validators)
+  const itemHash = computeCheckpointHash(checkpoint, validators)
+
+  const signers = checkpoint.votes
+    .filter(
+      (vote) =>
+        vote.decision === "approve" &&
+        validatorKeys.get(vote.publicKey) === vote.validator &&
+        verifyVote(vote, itemHash)
+    )
+    .map((vote) => vote.validator)
+  return [...new Set(signers)]
+}
+
+// A signed checkpoint is always checked against the validators of the
+// network, whatever the checkpoint document says
+function isCheckpointTrusted(checkpoint, validators) {
+  const decision = decide({
+    approvedBy: getCheckpointSigners(checkpoint, validators),
+    validators,
+  })
+  return decision === "Approved"
+}
+
+// Latest signed checkpoint whose signatures still reach consensus
+async function getTrustedCheckpoint(validators) {
+  const checkpoints = await CheckpointModel.find({ status: "Signed" }).sort({
+    blockId: -1,
+  })
+  return (
+    checkpoints.find((checkpoint) =>
+      isCheckpointTrusted(checkpoint, validators)
+    ) || null
+  )
+}
+
+// Proposes the given block as the next checkpoint, does nothing when it is
+// already checkpointed
+async function proposeCheckpoint(block) {
+  const latest = await CheckpointModel.findOne().sort({ blockId: -1 })
+  if (latest && latest.blockId >= block.blockId) {
+    return latest
+  }
+
+  return CheckpointModel.findOneAndUpdate(
+    { blockId: block.blockId },
+    {
+      $setOnInsert: {
+        blockId: block.blockId,
+        hash: block.hash,
+        timestamp: new Date(),
+      },
+    },
+    { upsert: true, new: true }
+  )
+}
+
+module.exports = {
+  computeCheckpointHash,
+  getCheckpointSigners,
+  isCheckpointTrusted,
+  getTrustedCheckpoint,
+  proposeCheckpoint,
+}
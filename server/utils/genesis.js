@@ -0,0 +1,121 @@
+const fs = require("fs")
+const path = require("path")
+const EC = require("elliptic").ec
+const ec = new EC("secp256k1")
+const BlockModel = require("../models/block")
+const {
+  strategies,
+  configureConsensus,
+  getConsensusSettings,
+} = require("../consensus")
+const { buildCatalogue } = require("./catalogue")
+
+// The genesis configuration is embedded in block 0 and covered by its hash, so
+// every node of a network agrees on it: the network name, the initial
+// validator set, the consensus parameters, the commodity catalogue and the
+// opening balances of the ledger.
+
+function isPublicKey(publicKey) {
+  try {
+    return ec.keyFromPublic(publicKey, "hex").validate().result
+  } catch (error) {
+    return false
+  }
+}
+
+function buildValidators(validators = []) {
+  if (!Array.isArray(validators)) {
+    throw new Error("validators has to be a list of usernames and public keys")
+  }
+
+  return validators.map(({ username, publicKey }) => {
+    if (!username || !isPublicKey(publicKey)) {
+      throw new Error(
+        `Validator ${
+          username || "without username"
+        } needs a username and a valid public key`
+      )
+    }
+    return { username, publicKey }
+  })
+}
+
+// Parameters missing from the configuration are taken from the environment
+function buildConsensus(consensus = {}) {
+  const defaults = getConsensusSettings()
+  const settings = {
+    strategy: consensus.strategy || defaults.strategy,
+    threshold: Number(consensus.threshold || defaults.threshold),
+    quorum: Number(consensus.quorum || defaults.quorum),
+    weights: consensus.weights || defaults.weights,
+  }
+
+  if (!strategies.includes(settings.strategy)) {
+    throw new Error(
+      `Unknown consensus strategy "${
+        settings.strategy
+      }", use one of ${strategies.join(", ")}`
+    )
+  }
+  if (!(settings.threshold > 0 && settings.threshold <= 1)) {
+    throw new Error("The consensus threshold has to be between 0 and 1")
+  }
+  if (!Number.isInteger(settings.quorum) || settings.quorum < 1) {
+    throw new Error("The consensus quorum has to be a positive integer")
+  }
+  return settings
+}
+
+// Opening balances of the ledger, the only source of funds besides the
+// transactions received
+function buildAllocations(allocations = []) {
+  if (!Array.isArray(allocations)) {
+    throw new Error("allocations has to be a list of public keys and amounts")
+  }
+
+  return allocations.map(({ publicKey, amount }) => {
+    if (!isPublicKey(publicKey) || !(Number(amount) > 0)) {
+      throw new Error(
+        "Every allocation needs a valid public key and a positive amount"
+      )
+    }
+    return { publicKey, amount: Number(amount) }
+  })
+}
+
+// Checks a genesis configuration file and fills in the defaults
+function buildGenesis(config) {
+  if (!config.network || typeof config.network !== "string") {
+    throw new Error("Please provide the network name")
+  }
+
+  return {
+    network: config.network,
+    validators: buildValidators(config.validators),
+    consensus: buildConsensus(config.consensus),
+    catalogue: buildCatalogue(config.catalogue),
+    allocations: buildAllocations(config.allocations),
+  }
+}
+
+// Reads and checks the genesis configuration of a network from a JSON file
+function readGenesisFile(file) {
+  return buildGenesis(JSON.parse(fs.readFileSync(path.resolve(file), "utf8")))
+}
+
+// Runs the node with the consensus parameters of its genesis block. Returns
+// the genesis block, null as long as the chain has not been bootstrapped.
+// Genesis blocks created before the bootstrap command carry no configuration
+// and keep the parameters of the environment.
+async function loadGenesis() {
+  const genesisBlock = await BlockModel.findOne({
+    blockId: 0,
+    status: "inChain",
+  })
+  if (genesisBlock && genesisBlock.genesis) {
+    configureConsensus(genesisBlock.genesis.consensus)
+  }
+  return genesisBlock
+}
+
+module.exports = { buildGenesis, readGenesisFile, loadGenesis }
@@ -0,0 +1,132 @@
+const CounterModel = require("../models/counter")
+const SupplyChainModel = require("../models/supplychain")
+const ProductModel = require("../models/product")
+const IssuedBatchIdModel = require("../models/issuedBatchId")
+const { BadRequestError } = require("../errors")
+const { ID_CHECK_DIGITS } = require("../config/identifiers")
+
+// Batch and product identifiers are taken from atomic sequences, one per batch
+// prefix and one for the products, so concurrent requests never receive the
+// same identifier and an identifier only tells how many batches of its stage
+// came before it. Unless disabled they end with a Luhn check digit. A batch ID
+// is signed by the client, so it is issued to the user first and a record is
+// only accepted with an ID issued to its creator and not used yet, otherwise
+// a client could sign an ID ahead of the sequence and block it.
+
+// Luhn check digit of a string of digits
+function computeCheckDigit(digits) {
+  let sum = 0
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i])
+    if (i % 2 === 0) {
+      digit *= 2
+      if (digit > 9) {
+        digit -= 9
+      }
+    }
+    sum += digit
+  }
+  return (10 - (sum % 10)) % 10
+}
+
+function hasValidCheckDigit(digits) {
+  return (
+    /^\d{2,}$/.test(digits) &&
+    computeCheckDigit(digits.slice(0, -1)) === Number(digits.slice(-1))
+  )
+}
+
+function formatSequence(seq) {
+  const digits = String(seq)
+  return ID_CHECK_DIGITS ? digits + computeCheckDigit(digits) : digits
+}
+
+// Reserves count consecutive numbers of the sequence and returns the first.
+// A sequence starts after seed, so it does not reissue the numbers of the
+// identifiers derived from document counts before the sequences existed.
+async function reserveSequence(name, count, seed, session = null) {
+  if (!(await CounterModel.exists({ _id: name }).session(session))) {
+    try {
+      await CounterModel.updateOne(
+        { _id: name },
+        { $setOnInsert: { seq: await seed() } },
+        { upsert: true, session }
+      )
+    } catch (error) {
+      // another request created the counter first
+      if (error.code !== 11000) {
+        throw error
+      }
+    }
+  }
+
+  const counter = await CounterModel.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: count } },
+    { new: true, session }
+  )
+  return counter.seq - count + 1
+}
+
+async function generateBatchId(stage, session = null) {
+  const seq = await reserveSequence(
+    `batch:${stage.batchPrefix}`,
+    1,
+    () => SupplyChainModel.collection.countDocuments(),
+    session
+  )
+  return stage.batchPrefix + formatSequence(seq)
+}
+
+// Issues the next batch ID of the stage to the user
+async function issueBatchId(stage, username) {
+  const batchId = await generateBatchId(stage)
+  await IssuedBatchIdModel.create({ _id: batchId, username })
+  return batchId
+}
+
+// Uses up a batch ID issued to the user, to be called in the transaction
+// creating the record so a failed record gives the ID back
+async function claimBatchId(batchId, username, session) {
+  const { deletedCount } = await IssuedBatchIdModel.deleteOne(
+    { _id: batchId, username },
+    { session }
+  )
+  if (deletedCount === 0) {
+    throw new BadRequestError(
+      "This batch ID has not been issued to you or has already been used"
+    )
+  }
+}
+
+// Numeric identifiers of count new products
+async function generateProductIds(count, session = null) {
+  const first = await reserveSequence(
+    "product",
+    count,
+    () => ProductModel.collection.countDocuments(),
+    session
+  )
+  return Array.from({ length: count }, (_, index) =>
+    Number(formatSequence(first + index))
+  )
+}
+
+// Whether a new batch ID has the prefix of the stage and a valid check digit
+function isValidBatchId(batchId, stage) {
+  if (typeof batchId !== "string" || !batchId.startsWith(stage.batchPrefix)) {
+    return false
+  }
+
+  const digits = batchId.slice(stage.batchPrefix.length)
+  return ID_CHECK_DIGITS ? hasValidCheckDigit(digits) : /^\d+$/.test(digits)
+}
+
+module.exports = {
+  computeCheckDigit,
+  hasValidCheckDigit,
+  issueBatchId,
+  claimBatchId,
+  generateProductIds,
+  isValidBatchId,
+}
@@ -0,0 +1,47 @@
+const { pbkdf2, randomBytes, randomUUID, createCipheriv } = require("crypto")
+const { promisify } = require("util")
+const pbkdf2Async = promisify(pbkdf2)
+
+// Must stay in sync with the keystore format used by the desktop client
+const KEYSTORE_VERSION = 1
+const KDF_ITERATIONS = 262144
+const KEY_LENGTH = 32
+
+async function encryptKeystore(privateKey, publicKey, passphrase) {
+  const salt = randomBytes(32)
+  const iv = randomBytes(12)
+  const derivedKey = await pbkdf2Async(
+    passphrase,
+    salt,
+    KDF_ITERATIONS,
+    KEY_LENGTH,
+    "sha256"
+  )
+
+  const cipher = createCipheriv("aes-256-gcm", derivedKey, iv)
+  const ciphertext = Buffer.concat([
+    cipher.update(Buffer.from(privateKey.padStart(64, "0"), "hex")),
+    cipher.final(),
+    cipher.getAuthTag(),
+  ])
+
+  return {
+    version: KEYSTORE_VERSION,
+    id: randomUUID(),
+    publicKey,
+    crypto: {
+      cipher: "aes-256-gcm",
+      ciphertext: ciphertext.toString("hex"),
+      cipherparams: { iv: iv.toString("hex") },
+      kdf: "pbkdf2",
+      kdfparams: {
+        c: KDF_ITERATIONS,
+        dklen: KEY_LENGTH,
+        prf: "hmac-sha256",
+        salt: salt.toString("hex"),
+      },
+    },
+  }
+}
+
+module.exports = { encryptKeystore }
@@ -0,0 +1,127 @@
+const BlockModel = require("../models/block")
+const TransactionModel = require("../models/transaction")
+
+// Balances are derived from the chain: the allocations of the genesis block
+// plus the inChain transactions received minus the inChain transactions sent.
+// Transactions that are not in the chain yet (Pending, Approved or inBlock)
+// are reported separately, outgoing ones are reserved when spending.
+
+const UNCONFIRMED_STATUSES = ["Pending", "Approved", "inBlock"]
+
+async function getGenesisAllocation(publicKey, session = null) {
+  const genesisBlock = await BlockModel.findOne({
+    blockId: 0,
+    status: "inChain",
+  })
+    .select("genesis")
+    .session(session)
+  const allocations =
+    (genesisBlock &&
+      genesisBlock.genesis &&
+      genesisBlock.genesis.allocations) ||
+    []
+
+  return allocations
+    .filter((allocation) => allocation.publicKey === publicKey)
+    .reduce((total, allocation) => total + allocation.amount, 0)
+}
+
+async function sumAmounts(match, session = null) {
+  const [result] = await TransactionModel.aggregate([
+    { $match: match },
+    { $group: { _id: null, total: { $sum: "$amount" } } },
+  ]).session(session)
+  return result ? result.total : 0
+}
+
+// Balance of the address, read in the session when checking a new transaction
+async function getBalance(publicKey, session = null) {
+  const allocation = await getGenesisAllocation(publicKey, session)
+  const received = await sumAmounts(
+    { toAddress: publicKey, status: "inChain" },
+    session
+  )
+  const sent = await sumAmounts(
+    { fromAddress: publicKey, status: "inChain" },
+    session
+  )
+  const pendingIncoming = await sumAmounts(
+    { toAddress: publicKey, status: { $in: UNCONFIRMED_STATUSES } },
+    session
+  )
+  const pendingOutgoing = await sumAmounts(
+    { fromAddress: publicKey, status: { $in: UNCONFIRMED_STATUSES } },
+    session
+  )
+
+  const balance = allocation + received - sent
+  return {
+    publicKey,
+    balance,
+    pendingIncoming,
+    pendingOutgoing,
+    // what can still be spent once the outgoing transactions are reserved
+    available: balance - pendingOutgoing,
+  }
+}
+
+// Every inChain transaction of the address in chain order, with the block it
+// is in and the running balance after it
+async function getStatementEntries(publicKey) {
+  const transactions = await TransactionModel.find({
+    $or: [{ fromAddress: publicKey }, { toAddress: publicKey }],
+    status: "inChain",
+  })
+
+  const blocks = await BlockModel.find({
+    status: "inChain",
+    "records._id": { $in: transactions.map((transaction) => transaction._id) },
+  }).select("blockId records._id")
+  const blockIds = new Map()
+  for (const block of blocks) {
+    for (const record of block.records) {
+      blockIds.set(record._id.toString(), block.blockId)
+    }
+  }
+
+  let balance = await getGenesisAllocation(publicKey)
+  const openingBalance = balance
+
+  const entries = transactions
+    .map((transaction) => ({
+      transaction,
+      blockId: blockIds.has(transaction._id.toString())
+        ? blockIds.get(transaction._id.toString())
+        : null,
+    }))
+    .sort(
+      (a, b) =>
+        a.blockId - b.blockId ||
+        a.transaction.timestamp - b.transaction.timestamp
+    )
+    .map(({ transaction, blockId }) => {
+      const isIncoming = transaction.toAddress === publicKey
+      const isOutgoing = transaction.fromAddress === publicKey
+      // a transfer to oneself leaves the balance unchanged
+      const change =
+        (isIncoming ? transaction.amount : 0) -
+        (isOutgoing ? transaction.amount : 0)
+      balance += change
+
+      return {
+        _id: transaction._id,
+        blockId,
+        timestamp: transaction.timestamp,
+        direction: isOutgoing ? "out" : "in",
+        counterparty: isOutgoing
+          ? transaction.toAddress
+          : transaction.fromAddress,
+        amount: transaction.amount,
+        change,
+        balance,
+      }
+    })
+  return { openingBalance, entries }
+}
+
+module.exports = { UNCONFIRMED_STATUSES, getBalance, getStatementEntries }
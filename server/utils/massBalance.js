@@ -0,0 +1,95 @@
+const { BadRequestError } = require("../errors")
+
+// A record can not hold more than what it takes from its input batches. The
+// yield of every product with a conversion in the catalogue is compared with
+// the expected ratio of its stage, and the total quantity of the record with
+// the total quantity of its inputs. Yields above the tolerance band are
+// rejected, yields below it are kept on the record as a warning for the
+// validators as the input may have been diverted.
+
+function sumQuantities(products) {
+  const quantities = new Map()
+  for (const { name, quantity } of products) {
+    quantities.set(name, (quantities.get(name) || 0) + Number(quantity))
+  }
+  return quantities
+}
+
+function formatPercentage(ratio) {
+  return `${Number((ratio * 100).toFixed(2))}%`
+}
+
+function getYieldStatus(actual, expected, tolerance) {
+  if (actual > expected * (1 + tolerance)) {
+    return "High"
+  }
+  return actual < expected * (1 - tolerance) ? "Low" : "Ok"
+}
+
+// Mass balance of the products of a record of the stage against the products
+// it takes from its input batches, throws when the record yields more than the
+// tolerance allows
+function checkMassBalance(stage, inputProducts, products) {
+  // a negative output would count as a low yield and lower the total
+  if (
+    products.some(
+      ({ quantity }) => !Number.isFinite(quantity) || !(quantity > 0)
+    )
+  ) {
+    throw new BadRequestError("Product quantities have to be positive")
+  }
+
+  const tolerance = stage.yieldTolerance
+  const inputs = sumQuantities(inputProducts)
+  const outputs = sumQuantities(products)
+
+  const yields = stage.conversions
+    .filter(({ to }) => outputs.has(to))
+    .map(({ from, to, ratio }) => {
+      const input = inputs.get(from) || 0
+      const output = outputs.get(to)
+      const actual = input > 0 ? output / input : Infinity
+      return {
+        from,
+        to,
+        input,
+        output,
+        expectedYield: ratio,
+        yield: input > 0 ? actual : null,
+        status: getYieldStatus(actual, ratio, tolerance),
+      }
+    })
+
+  const inputQuantity = [...inputs.values()].reduce((a, b) => a + b, 0)
+  const outputQuantity = [...outputs.values()].reduce((a, b) => a + b, 0)
+
+  const highYield = yields.find(({ status }) => status === "High")
+  if (highYield) {
+    throw new BadRequestError(
+      highYield.input > 0
+        ? `The yield of ${highYield.to} from ${
+            highYield.from
+          } is ${formatPercentage(
+            highYield.yield
+          )}, more than ${formatPercentage(
+            tolerance
+          )} above the expected ${formatPercentage(highYield.expectedYield)}`
+        : `The record takes no ${highYield.from} to make ${highYield.to}`
+    )
+  }
+  if (outputQuantity > inputQuantity * (1 + tolerance)) {
+    throw new BadRequestError(
+      `The record holds ${outputQuantity} in total, more than the ${inputQuantity} it takes from its input batches`
+    )
+  }
+
+  return {
+    tolerance,
+    inputQuantity,
+    outputQuantity,
+    yields,
+    status: yields.some(({ status }) => status === "Low") ? "Low" : "Ok",
+  }
+}
+
+module.exports = { checkMassBalance }
@@ -0,0 +1,129 @@
+const BlockModel = require("../models/block")
+const TransactionModel = require("../models/transaction")
+const SupplyChainModel = require("../models/supplychain")
+const { MAX_BLOCK_SIZE } = require("../config/chain")
+
+// The mempool holds the transactions and supply-chain records that reached
+// consensus (status Approved) but are not in a block yet. They are moved into
+// the hibernating block first in, first out by approval time. Every function
+// takes an optional session to run as part of a transaction.
+
+function getApprovalTime(record) {
+  return (record.approvedAt || record.timestamp).getTime()
+}
+
+async function getMempool(limit, session) {
+  const query = { status: "Approved" }
+  const sort = { approvedAt: 1, timestamp: 1, _id: 1 }
+
+  const records = [
+    ...(await TransactionModel.find(query)
+      .sort(sort)
+      .limit(limit || 0)
+      .session(session)),
+    ...(await SupplyChainModel.find(query)
+      .sort(sort)
+      .limit(limit || 0)
+      .session(session)),
+  ]
+  records.sort((a, b) => getApprovalTime(a) - getApprovalTime(b))
+  return limit ? records.slice(0, limit) : records
+}
+
+// There is at most one hibernating block, a unique index on its status
+// rejects a second one created concurrently. Inside a transaction the error
+// aborts the transaction, which is then retried as a whole.
+async function getHibernatingBlock(session) {
+  const hibernatingBlock = await BlockModel.findOne({
+    status: "Hibernating",
+  }).session(session)
+  if (hibernatingBlock) {
+    return hibernatingBlock
+  }
+
+  try {
+    const [createdBlock] = await BlockModel.create(
+      [{ timestamp: new Date() }],
+      { session }
+    )
+    return createdBlock
+  } catch (error) {
+    if (error.code !== 11000 || session) {
+      throw error
+    }
+    return BlockModel.findOne({ status: "Hibernating" })
+  }
+}
+
+// Moves a mempool record into the hibernating block unless the block filled up
+// or the record was taken by a concurrent call in the meantime
+async function addToBlock(block, record, session) {
+  const model = "amount" in record ? TransactionModel : SupplyChainModel
+  const inBlockRecord = await model.findOneAndUpdate(
+    { _id: record._id, status: "Approved" },
+    { status: "inBlock" },
+    { new: true, session }
+  )
+  if (!inBlockRecord) {
+    return block
+  }
+
+  const updatedBlock = await BlockModel.findOneAndUpdate(
+    {
+      _id: block._id,
+      status: "Hibernating",
+      [`records.${MAX_BLOCK_SIZE - 1}`]: { $exists: false },
+    },
+    {
+      $push: { records: inBlockRecord },
+      timestamp: new Date(),
+      lastActivity: new Date(),
+    },
+    { new: true, session }
+  )
+  if (!updatedBlock) {
+    await model.updateOne(
+      { _id: record._id, status: "inBlock" },
+      { status: "Approved" },
+      { session }
+    )
+  }
+  return updatedBlock
+}
+
+// Fills the hibernating block from the mempool. A block that is full is moved
+// to Pending for the validators and a new hibernating block takes the rest,
+// so approved records never wait for a chain event to be picked up.
+async function fillHibernatingBlocks(session) {
+  while (true) {
+    let block = await getHibernatingBlock(session)
+
+    if (block.records.length >= MAX_BLOCK_SIZE) {
+      await BlockModel.updateOne(
+        { _id: block._id, status: "Hibernating" },
+        { status: "Pending", timestamp: new Date() },
+        { session }
+      )
+      continue
+    }
+
+    const records = await getMempool(
+      MAX_BLOCK_SIZE - block.records.length,
+      session
+    )
+    if (records.length === 0) {
+      return block
+    }
+
+    for (const record of records) {
+      const updatedBlock = await addToBlock(block, record, session)
+      // the block filled up concurrently, it is sealed in the next round
+      if (!updatedBlock) {
+        break
+      }
+      block = updatedBlock
+    }
+  }
+}
+
+module.exports = { getMempool, fillHibernatingBlocks }
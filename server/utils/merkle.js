@@ -0,0 +1,87 @@
+const { createHash } = require("crypto")
+
+// Leaves and inner nodes are hashed with different prefixes, so an inner node
+// can not be passed off as a leaf in a proof, and an odd node at the end of a
+// level is carried up unchanged, so repeating the last leaf changes the root.
+// Blocks sealed before MERKLE_BLOCK_HASH_VERSION keep the legacy tree, which
+// uses the leaves as they are and pairs an odd node with itself.
+const LEAF_PREFIX = Buffer.from([0x00])
+const NODE_PREFIX = Buffer.from([0x01])
+
+function hashLeaf(leaf, isLegacy) {
+  if (isLegacy) {
+    return leaf
+  }
+  return createHash("sha256").update(LEAF_PREFIX).update(leaf).digest("hex")
+}
+
+function hashPair(left, right, isLegacy) {
+  const hash = createHash("sha256")
+  if (!isLegacy) {
+    hash.update(NODE_PREFIX)
+  }
+  return hash.update(left + right).digest("hex")
+}
+
+// Builds every level of the tree, from the hashed leaves up to the root
+function buildLevels(leaves, isLegacy) {
+  const levels = [leaves.map((leaf) => hashLeaf(leaf, isLegacy))]
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1]
+    const nextLevel = []
+    for (let i = 0; i < level.length; i += 2) {
+      if (i + 1 < level.length) {
+        nextLevel.push(hashPair(level[i], level[i + 1], isLegacy))
+      } else {
+        nextLevel.push(isLegacy ? hashPair(level[i], level[i], true) : level[i])
+      }
+    }
+    levels.push(nextLevel)
+  }
+  return levels
+}
+
+function computeMerkleRoot(leaves, isLegacy = false) {
+  if (leaves.length === 0) {
+    return ""
+  }
+  const levels = buildLevels(leaves, isLegacy)
+  return levels[levels.length - 1][0]
+}
+
+// Audit path from the leaf at index up to the root, each step tells on which
+// side the sibling hash has to be concatenated. An odd node carried up has no
+// step on that level.
+function getMerkleProof(leaves, index, isLegacy = false) {
+  const proof = []
+  const levels = buildLevels(leaves, isLegacy)
+
+  for (let i = 0; i < levels.length - 1; i++) {
+    const level = levels[i]
+    const isRightNode = index % 2 === 1
+    const siblingIndex = isRightNode ? index - 1 : index + 1
+    if (siblingIndex < level.length) {
+      proof.push({
+        position: isRightNode ? "left" : "right",
+        hash: level[siblingIndex],
+      })
+    } else if (isLegacy) {
+      proof.push({ position: "right", hash: level[index] })
+    }
+    index = Math.floor(index / 2)
+  }
+  return proof
+}
+
+function verifyMerkleProof(leaf, proof, merkleRoot, isLegacy = false) {
+  let hash = hashLeaf(leaf, isLegacy)
+  for (const { position, hash: sibling } of proof) {
+    hash =
+      position === "left"
+        ? hashPair(sibling, hash, isLegacy)
+        : hashPair(hash, sibling, isLegacy)
+  }
+  return hash === merkleRoot
+}
+
+module.exports = { computeMerkleRoot, getMerkleProof, verifyMerkleProof }
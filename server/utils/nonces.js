@@ -0,0 +1,129 @@
+const BlockModel = require("../models/block")
+const UserModel = require("../models/user")
+const TransactionModel = require("../models/transaction")
+const SupplyChainModel = require("../models/supplychain")
+const { BadRequestError } = require("../errors")
+const { NONCE_HASH_VERSION } = require("./canonical")
+
+// Every account signs its transactions and supply-chain records with a nonce,
+// one more than the last nonce it used, so a signed payload can not be
+// submitted twice. Transactions and records share the sequence of an account.
+
+function hasNonce(record) {
+  return record.hashVersion >= NONCE_HASH_VERSION
+}
+
+// Sender address and nonce, which an account can only use once
+function getNonceKey(record) {
+  return `${record.fromAddress}:${record.nonce}`
+}
+
+// Nonces of the records in the chain before the given block, for validations
+// starting at a checkpoint or at the tip of the local chain
+async function getChainNonces(beforeBlockId, session = null) {
+  const blocks = await BlockModel.find({
+    status: "inChain",
+    blockId: { $lt: beforeBlockId },
+  })
+    .select("records.fromAddress records.nonce records.hashVersion")
+    .session(session)
+    .lean()
+
+  return new Set(
+    blocks.flatMap((block) =>
+      block.records
+        .filter((record) => hasNonce(record))
+        .map((record) => getNonceKey(record))
+    )
+  )
+}
+
+// Transactions and records of the address signed with the nonce, rejected
+// ones included as their nonce has been used as well
+async function findNonceUsers(fromAddress, nonce, session) {
+  const query = { fromAddress, nonce }
+  return [
+    ...(await TransactionModel.find(query).select("_id").session(session)),
+    ...(await SupplyChainModel.find(query).select("_id").session(session)),
+  ]
+}
+
+// Moves the nonce of the sender account forward, to be called in the
+// transaction creating the item signed with it
+async function claimNonce(sender, nonce, session) {
+  const expectedNonce = (sender.nonce || 0) + 1
+  if (!Number.isInteger(nonce) || nonce !== expectedNonce) {
+    throw new BadRequestError(
+      `Invalid nonce, the next nonce of this account is ${expectedNonce}`
+    )
+  }
+
+  if ((await findNonceUsers(sender.publicKey, nonce, session)).length > 0) {
+    throw new BadRequestError("This nonce has already been used")
+  }
+
+  // accounts created before nonces have no nonce field yet
+  const claimed = await UserModel.findOneAndUpdate(
+    {
+      _id: sender._id,
+      nonce: nonce === 1 ? { $in: [0, null] } : nonce - 1,
+    },
+    { nonce },
+    { session, new: true }
+  )
+  if (!claimed) {
+    throw new BadRequestError("This nonce has already been used")
+  }
+}
+
+// Ids of the records of a block signed without a nonce, or with a nonce the
+// sender already used in the same block or in another transaction or record
+async function findNonceReplays(records) {
+  const replays = []
+  const seen = new Set()
+
+  for (const record of records) {
+    if (!hasNonce(record)) {
+      continue
+    }
+
+    const key = getNonceKey(record)
+    const users = Number.isInteger(record.nonce)
+      ? await findNonceUsers(record.fromAddress, record.nonce)
+      : []
+    const isReplay =
+      !Number.isInteger(record.nonce) ||
+      seen.has(key) ||
+      users.some((user) => user._id.toString() !== record._id.toString())
+
+    if (isReplay) {
+      replays.push(record._id.toString())
+    }
+    seen.add(key)
+  }
+  return replays
+}
+
+// Records replicated from a peer move the nonce of the local account forward
+async function syncAccountNonce(record) {
+  if (!hasNonce(record) || !Number.isInteger(record.nonce)) {
+    return
+  }
+
+  await UserModel.updateOne(
+    {
+      publicKey: record.fromAddress,
+      $or: [{ nonce: { $lt: record.nonce } }, { nonce: null }],
+    },
+    { nonce: record.nonce }
+  )
+}
+
+module.exports = {
+  hasNonce,
+  getNonceKey,
+  getChainNonces,
+  claimNonce,
+  findNonceReplays,
+  syncAccountNonce,
+}
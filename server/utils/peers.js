@@ -0,0 +1,91 @@
+const http = require("http")
+const https = require("https")
+const {
+  PEERS,
+  NODE_URL,
+  PEER_SECRET,
+  PEER_REQUEST_TIMEOUT_MS,
+} = require("../config/peers")
+
+// Sends a JSON request to another node and resolves with the parsed body,
+// non-2xx responses are rejected with the status code and message of the peer
+function requestPeer(peer, path, { method = "GET", body } = {}) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(path, peer)
+    const payload = body === undefined ? null : JSON.stringify(body)
+    const client = url.protocol === "https:" ? https : http
+
+    const request = client.request(
+      url,
+      {
+        method,
+        timeout: PEER_REQUEST_TIMEOUT_MS,
+        headers: {
+          "Content-Type": "application/json",
+          "x-peer-token": PEER_SECRET,
+          ...(payload && { "Content-Length": Buffer.byteLength(payload) }),
+        },
+      },
+      (response) => {
+        let data = ""
+        response.setEncoding("utf8")
+        response.on("data", (chunk) => (data += chunk))
+        response.on("end", () => {
+          let parsed = {}
+          try {
+            parsed = data ? JSON.parse(data) : {}
+          } catch (error) {
+            parsed = { msg: data }
+          }
+
+          if (response.statusCode < 200 || response.statusCode >= 300) {
+            const error = new Error(
+              `${peer} responded with ${response.statusCode}: ${parsed.msg}`
+            )
+            error.statusCode = response.statusCode
+            return reject(error)
+          }
+          resolve(parsed)
+        })
+      }
+    )
+
+    request.on("timeout", () => {
+      request.destroy(new Error(`${peer} did not respond in time`))
+    })
+    request.on("error", reject)
+
+    if (payload) {
+      request.write(payload)
+    }
+    request.end()
+  })
+}
+
+function fetchPeerBlocks(peer, from) {
+  return requestPeer(peer, `/api/peers/blocks?from=${from}`)
+}
+
+// Pushes a newly appended block to every peer, a peer that is down catches up
+// through its periodic sync so failures are only logged
+async function broadcastBlock(block) {
+  const results = await Promise.allSettled(
+    PEERS.map((peer) =>
+      requestPeer(peer, "/api/peers/blocks", {
+        method: "POST",
+        body: { block, peer: NODE_URL },
+      })
+    )
+  )
+
+  results.forEach((result, index) => {
+    if (result.status === "rejected") {
+      console.log(
+        `Could not send block ${block.blockId} to ${PEERS[index]}:`,
+        result.reason.message
+      )
+    }
+  })
+}
+
+module.exports = { requestPeer, fetchPeerBlocks, broadcastBlock }
@@ -0,0 +1,57 @@
+const { BadRequestError } = require("../errors")
+
+// Timestamps are stored as dates. Documents created before that stored a
+// toLocaleString("en-GB") string, which is covered by their signature or
+// block hash, so the migration keeps that exact string in legacyTimestamp.
+
+// Parses "dd/mm/yyyy, hh:mm:ss", which was written in the server local time
+function parseLegacyTimestamp(timestamp) {
+  const match = /^(\d{2})\/(\d{2})\/(\d{4}), (\d{2}):(\d{2}):(\d{2})$/.exec(
+    timestamp
+  )
+  if (!match) {
+    return null
+  }
+  const [, day, month, year, hours, minutes, seconds] = match.map(Number)
+  return new Date(year, month - 1, day, hours, minutes, seconds)
+}
+
+function isISOTimestamp(timestamp) {
+  if (typeof timestamp !== "string") {
+    return false
+  }
+  const date = new Date(timestamp)
+  return !isNaN(date.getTime()) && date.toISOString() === timestamp
+}
+
+// The timestamp string covered by the signature or hash of a block, a
+// transaction or a supply-chain record
+function getSignedTimestamp(item) {
+  if (item.legacyTimestamp) {
+    return item.legacyTimestamp
+  }
+  // records embedded in legacy blocks are never rewritten
+  if (typeof item.timestamp === "string") {
+    return item.timestamp
+  }
+  return item.timestamp.toISOString()
+}
+
+// Optional date query parameter, any date Date can parse
+function parseDateParam(query, name) {
+  if (query[name] === undefined || query[name] === "") {
+    return undefined
+  }
+  const value = new Date(query[name])
+  if (isNaN(value.getTime())) {
+    throw new BadRequestError(`${name} must be a date`)
+  }
+  return value
+}
+
+module.exports = {
+  parseLegacyTimestamp,
+  isISOTimestamp,
+  getSignedTimestamp,
+  parseDateParam,
+}
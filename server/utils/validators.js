@@ -0,0 +1,66 @@
+const BlockModel = require("../models/block")
+const UserModel = require("../models/user")
+const { UnauthorizedError } = require("../errors")
+
+// The validators of a network are the validator set of its genesis block, so
+// every node agrees on them whichever accounts it has registered. Chains
+// bootstrapped without a validator set fall back to the users with the
+// Validator role. Blocks keep the validators (username and public key) their
+// votes were cast by, each of them has to belong to the validator set of the
+// network. Checkpoint signatures cover the validator set they were cast for.
+
+function toValidatorSet(validators) {
+  return validators.map(({ username, publicKey }) => ({ username, publicKey }))
+}
+
+// Username of every validator by public key
+function getValidatorKeys(validators) {
+  return new Map(
+    validators.map(({ publicKey, username }) => [publicKey, username])
+  )
+}
+
+// Validator set of the genesis block, null when it names none
+function getGenesisValidators(genesisBlock) {
+  const validators =
+    genesisBlock && genesisBlock.genesis && genesisBlock.genesis.validators
+  return validators && validators.length > 0 ? toValidatorSet(validators) : null
+}
+
+async function getValidators(session = null) {
+  const genesisBlock = await BlockModel.findOne({
+    blockId: 0,
+    status: "inChain",
+  })
+    .select("genesis")
+    .session(session)
+
+  return (
+    getGenesisValidators(genesisBlock) ||
+    toValidatorSet(await UserModel.find({ role: "Validator" }).session(session))
+  )
+}
+
+// The user casting a vote, who has to be in the validator set under the public
+// key of the account
+async function getVotingValidator(username) {
+  const validator = await UserModel.findOne({ username })
+  const validators = await getValidators()
+  if (
+    !validator ||
+    getValidatorKeys(validators).get(validator.publicKey) !== username
+  ) {
+    throw new UnauthorizedError(
+      "You are not in the validator set of this network"
+    )
+  }
+  return validator
+}
+
+module.exports = {
+  toValidatorSet,
+  getValidatorKeys,
+  getGenesisValidators,
+  getValidators,
+  getVotingValidator,
+}
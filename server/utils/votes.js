@@ -0,0 +1,77 @@
+const { createHash } = require("crypto")
+const EC = require("elliptic").ec
+const ec = new EC("secp256k1")
+const { canonicalize } = require("./canonical")
+const { isISOTimestamp } = require("./timestamp")
+const { BadRequestError } = require("../errors")
+
+// A validator vote is an ECDSA signature over the hash of the item being
+// decided on, the decision and the time of the vote. A vote rejecting a block
+// also signs the ids of the records it blames for the rejection.
+
+function computeVoteHash(itemHash, decision, timestamp, flaggedRecords) {
+  return createHash("sha256")
+    .update(canonicalize({ itemHash, decision, timestamp, flaggedRecords }))
+    .digest("hex")
+}
+
+function verifyVote(vote, itemHash) {
+  const { publicKey, decision, timestamp, signature, flaggedRecords } = vote
+  if (!signature || !["approve", "reject"].includes(decision)) {
+    return false
+  }
+
+  try {
+    return ec
+      .keyFromPublic(publicKey, "hex")
+      .verify(
+        computeVoteHash(itemHash, decision, timestamp, flaggedRecords),
+        signature
+      )
+  } catch (error) {
+    return false
+  }
+}
+
+function createVote(
+  validator,
+  isApproved,
+  itemHash,
+  timestamp,
+  signature,
+  flaggedRecords
+) {
+  if (!isISOTimestamp(timestamp)) {
+    throw new BadRequestError(
+      "Please provide the vote timestamp as an ISO-8601 string"
+    )
+  }
+
+  if (flaggedRecords !== undefined) {
+    if (isApproved) {
+      throw new BadRequestError("Records can only be flagged when rejecting")
+    }
+    if (!Array.isArray(flaggedRecords) || flaggedRecords.length === 0) {
+      throw new BadRequestError("Please provide the ids of the flagged records")
+    }
+  }
+
+  const vote = {
+    validator: validator.username,
+    publicKey: validator.publicKey,
+    decision: isApproved ? "approve" : "reject",
+    timestamp,
+    signature,
+  }
+  // only set when present, an undefined field would be stored as null
+  if (flaggedRecords !== undefined) {
+    vote.flaggedRecords = flaggedRecords
+  }
+
+  if (!verifyVote(vote, itemHash)) {
+    throw new BadRequestError("Invalid signature for this vote")
+  }
+  return vote
+}
+
+module.exports = { computeVoteHash, verifyVote, createVote }